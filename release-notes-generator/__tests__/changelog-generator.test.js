@@ -27,6 +27,22 @@ describe('changelog-generator', () => {
 
     const sortedGroupNames = ['Features', 'Bug Fixes'];
 
+    it('should leave the date out of the Unreleased section', () => {
+      const changelog = changelogGenerator.generateChangelog('Unreleased', groupedCommits, sortedGroupNames);
+
+      expect(changelog).toMatch(/^## Unreleased\n\n### Features\n/);
+    });
+
+    it('should use the given date, format and time zone', () => {
+      const changelog = changelogGenerator.generateChangelog('v1.0.0', groupedCommits, sortedGroupNames, false, {
+        date: '2024-12-06T23:30:00-08:00',
+        dateFormat: 'iso',
+        timeZone: 'UTC'
+      });
+
+      expect(changelog).toMatch(/^## v1\.0\.0\n\*2024-12-07\*\n/);
+    });
+
     it('should generate changelog with date', () => {
       const changelog = changelogGenerator.generateChangelog('v1.0.0', groupedCommits, sortedGroupNames);
 
@@ -67,6 +83,80 @@ describe('changelog-generator', () => {
       expect(changelog).toContain('_No changes recorded._');
     });
 
+    it('should render scope and ticketless entries', () => {
+      const scoped = {
+        groups: {
+          'Features': [
+            { ticket: null, scope: 'android', description: 'add X', hash: 'abc123' },
+            { ticket: 'EMBR-1', scope: 'ios', description: 'add Y', hash: 'def456' },
+            { ticket: null, description: 'add Z', hash: 'ghi789' }
+          ]
+        },
+        unmatched: []
+      };
+
+      const changelog = changelogGenerator.generateChangelog('v1.0.0', scoped, ['Features']);
+
+      expect(changelog).toContain('- **android**: add X\n');
+      expect(changelog).toContain('- **EMBR-1**: **ios**: add Y\n');
+      expect(changelog).toContain('- add Z\n');
+    });
+
+    it('should render several tickets and consolidated hashes', () => {
+      const consolidated = {
+        groups: {
+          'Bug Fixes': [
+            { ticket: 'EMBR-1', tickets: ['EMBR-1', 'EMBR-2'], description: 'Shared crash', hash: 'abc1234' },
+            { ticket: 'EMBR-3', description: 'Session replay', hash: 'def1234', hashes: ['def1234', 'ghi5678'] }
+          ]
+        },
+        unmatched: []
+      };
+
+      const changelog = changelogGenerator.generateChangelog('v1.0.0', consolidated, ['Bug Fixes']);
+
+      expect(changelog).toContain('- **EMBR-1**, **EMBR-2**: Shared crash\n');
+      expect(changelog).toContain('- **EMBR-3**: Session replay (`def1234`, `ghi5678`)\n');
+    });
+
+    it('should link pull requests and authors', () => {
+      const linked = {
+        groups: {
+          'Features': [
+            { ticket: 'EMBR-1', description: 'Add login', hash: 'abc123', pullRequest: { number: 12, url: 'https://github.com/o/r/pull/12', author: 'octocat' } },
+            { ticket: 'EMBR-2', description: 'Add signup', hash: 'def456', pullRequest: { number: 13, url: 'https://github.com/o/r/pull/13', author: null } }
+          ]
+        },
+        unmatched: []
+      };
+
+      const changelog = changelogGenerator.generateChangelog('v1.0.0', linked, ['Features']);
+
+      expect(changelog).toContain('- **EMBR-1**: Add login ([#12](https://github.com/o/r/pull/12)) by @octocat\n');
+      expect(changelog).toContain('- **EMBR-2**: Add signup ([#13](https://github.com/o/r/pull/13))\n');
+    });
+
+    it('should put breaking changes first with migration notes', () => {
+      const withBreaking = {
+        ...groupedCommits,
+        breaking: [
+          { ticket: 'EMBR-1234', description: 'Add login feature', hash: 'abc123', breaking: true, breakingNote: 'Call login() before init()\nSee the migration guide' },
+          { ticket: null, description: 'Remove legacy API', hash: 'xyz999', breaking: true }
+        ]
+      };
+
+      const changelog = changelogGenerator.generateChangelog('v1.0.0', withBreaking, sortedGroupNames);
+
+      expect(changelog).toContain('### Breaking Changes\n\n- **EMBR-1234**: Add login feature\n  Call login() before init()\n  See the migration guide\n- Remove legacy API\n');
+      expect(changelog.indexOf('### Breaking Changes')).toBeLessThan(changelog.indexOf('### Features'));
+    });
+
+    it('should omit the breaking section when there are none', () => {
+      const changelog = changelogGenerator.generateChangelog('v1.0.0', { ...groupedCommits, breaking: [] }, sortedGroupNames);
+
+      expect(changelog).not.toContain('Breaking Changes');
+    });
+
     it('should maintain group order', () => {
       const customSorted = ['Bug Fixes', 'Features'];
       const changelog = changelogGenerator.generateChangelog('v1.0.0', groupedCommits, customSorted);
@@ -76,6 +166,264 @@ describe('changelog-generator', () => {
 
       expect(bugFixesIndex).toBeLessThan(featuresIndex);
     });
+
+    it('should credit contributors and call out first-time contributors', () => {
+      const changelog = changelogGenerator.generateChangelog('v1.0.0', groupedCommits, sortedGroupNames, false, {
+        contributors: [
+          { name: 'Ana Dev', email: 'ana@example.com', login: null, firstTime: false },
+          { name: 'Octo Cat', email: 'octocat@users.noreply.github.com', login: 'octocat', firstTime: true }
+        ]
+      });
+
+      expect(changelog).toContain(
+        '### Contributors\n\nWelcome to our 1 first-time contributor!\n\n- Ana Dev\n- @octocat (first contribution)\n'
+      );
+      expect(changelog.indexOf('### Contributors')).toBeGreaterThan(changelog.indexOf('### Bug Fixes'));
+    });
+
+    it('should render configured headings and emoji', () => {
+      const sections = changelogGenerator.normalizeSections([
+        { name: 'Features', heading: 'New Features', emoji: '🚀' },
+        'Bug Fixes'
+      ]);
+
+      const changelog = changelogGenerator.generateChangelog('v1.0.0', groupedCommits, sortedGroupNames, false, { sections });
+
+      expect(changelog).toContain('### 🚀 New Features\n\n- **EMBR-1234**: Add login feature');
+      expect(changelog).toContain('### Bug Fixes\n\n');
+    });
+
+    it('should hide sections from the output they are hidden in', () => {
+      const sections = changelogGenerator.normalizeSections([{ name: 'Bug Fixes', hide_in: ['release'] }]);
+
+      const fileChangelog = changelogGenerator.generateChangelog('v1.0.0', groupedCommits, sortedGroupNames, false, { sections });
+      const releaseNotes = changelogGenerator.generateChangelog('v1.0.0', groupedCommits, sortedGroupNames, false, {
+        sections,
+        output: 'release'
+      });
+
+      expect(fileChangelog).toContain('### Bug Fixes');
+      expect(releaseNotes).not.toContain('### Bug Fixes');
+      expect(releaseNotes).toContain('### Features');
+    });
+
+    it('should skip the contributors section without contributors', () => {
+      const changelog = changelogGenerator.generateChangelog('v1.0.0', groupedCommits, sortedGroupNames, false, { contributors: [] });
+
+      expect(changelog).not.toContain('### Contributors');
+    });
+
+    describe('with a template', () => {
+      const template = [
+        '## {{version}} ({{date}})',
+        '',
+        '{{#sections}}',
+        '#### {{heading}}',
+        '{{#entries}}',
+        '* {{description}}{{#ticket}} [{{ticket}}]{{/ticket}}{{#prNumber}} (#{{prNumber}} by {{author}}){{/prNumber}} {{hash}}',
+        '{{/entries}}',
+        '',
+        '{{/sections}}',
+        '{{#unmatched}}',
+        '#### {{heading}}',
+        '{{#entries}}',
+        '* {{message}}',
+        '{{/entries}}',
+        '{{/unmatched}}',
+        ''
+      ].join('\n');
+
+      it('should render the notes from the template', () => {
+        const changelog = changelogGenerator.generateChangelog('v1.0.0', groupedCommits, sortedGroupNames, true, {
+          template,
+          date: '2024-12-06T12:00:00Z',
+          dateFormat: 'iso'
+        });
+
+        expect(changelog).toBe(
+          '## v1.0.0 (2024-12-06)\n\n' +
+          '#### Features\n* Add login feature [EMBR-1234] abc123\n* Add signup feature [EMBR-5678] def456\n\n' +
+          '#### Bug Fixes\n* Fix auth bug [EMBR-9999] ghi789\n\n' +
+          '#### Other\n* Update dependencies\n'
+        );
+      });
+
+      it('should give entries their scope, pull request and breaking note', () => {
+        const commits = {
+          groups: {
+            Features: [{
+              ticket: null,
+              scope: 'android',
+              description: 'Drop API 21',
+              hash: 'abc123',
+              breakingNote: 'Raise minSdk to 23',
+              pullRequest: { number: 42, url: 'https://github.com/embrace-io/repo/pull/42', author: 'octocat' }
+            }]
+          },
+          unmatched: []
+        };
+        commits.breaking = [commits.groups.Features[0]];
+
+        const changelog = changelogGenerator.generateChangelog('v2.0.0', commits, ['Features'], false, {
+          template: '{{#sections}}{{heading}}:{{#entries}} {{scope}}/{{prNumber}}/{{prUrl}}/{{author}}/{{breakingNote}}/{{ticket}};{{/entries}}\n{{/sections}}'
+        });
+
+        expect(changelog).toBe(
+          'Breaking Changes: android/42/https://github.com/embrace-io/repo/pull/42/octocat/Raise minSdk to 23/;\n' +
+          'Features: android/42/https://github.com/embrace-io/repo/pull/42/octocat/Raise minSdk to 23/;\n'
+        );
+      });
+
+      it('should apply section headings and visibility', () => {
+        const sections = changelogGenerator.normalizeSections([
+          { name: 'Features', heading: 'New Features', emoji: '🚀' },
+          { name: 'Bug Fixes', hide_in: ['release'] }
+        ]);
+
+        const releaseNotes = changelogGenerator.generateChangelog('v1.0.0', groupedCommits, sortedGroupNames, false, {
+          template,
+          sections,
+          output: 'release'
+        });
+
+        expect(releaseNotes).toContain('#### 🚀 New Features');
+        expect(releaseNotes).not.toContain('Bug Fixes');
+        expect(releaseNotes).not.toContain('Other');
+      });
+
+      it('should flag releases without changes', () => {
+        const changelog = changelogGenerator.generateChangelog('Unreleased', { groups: {}, unmatched: [] }, [], false, {
+          template: '## {{version}}{{#date}} - {{date}}{{/date}}\n{{#noChanges}}Nothing yet{{/noChanges}}'
+        });
+
+        expect(changelog).toBe('## Unreleased\nNothing yet');
+      });
+    });
+  });
+
+  describe('normalizeSections', () => {
+    it('should accept names and objects', () => {
+      expect(changelogGenerator.normalizeSections(['Features', { name: 'Chores', hide_in: 'release', emoji: '🧹' }])).toEqual([
+        { name: 'Features', hideIn: [] },
+        { name: 'Chores', hideIn: ['release'], emoji: '🧹' }
+      ]);
+    });
+
+    it('should reject invalid sections', () => {
+      expect(() => changelogGenerator.normalizeSections({ Features: {} })).toThrow('Sections must be a list');
+      expect(() => changelogGenerator.normalizeSections([{ heading: 'x' }])).toThrow('Section 1 has no name');
+      expect(() => changelogGenerator.normalizeSections([{ name: 'Chores', hide_in: ['slack'] }])).toThrow('Unknown output "slack"');
+    });
+  });
+
+  describe('assertVersionHeading', () => {
+    it('should accept notes starting with the version heading', () => {
+      expect(() => changelogGenerator.assertVersionHeading('## v1.0.0 (2024-12-06)\n\n- Add X\n', 'v1.0.0')).not.toThrow();
+      expect(() => changelogGenerator.assertVersionHeading('## [v1.0.0] - 2024-12-06\n', 'v1.0.0')).not.toThrow();
+    });
+
+    it('should reject other headings', () => {
+      expect(() => changelogGenerator.assertVersionHeading('# v1.0.0 (2024-12-06)\n\n- Add X\n', 'v1.0.0'))
+        .toThrow('Notes for CHANGELOG.md must start with a "## v1.0.0" heading, got "# v1.0.0 (2024-12-06)"');
+      expect(() => changelogGenerator.assertVersionHeading('## Release v1.0.0\n', 'v1.0.0')).toThrow('"## v1.0.0" heading');
+    });
+  });
+
+  describe('parseChangelog', () => {
+    it('should split the file into version sections', () => {
+      const result = changelogGenerator.parseChangelog(
+        '# Changelog\n\nIntro.\n\n## Unreleased\n\n- Pending\n\n## [1.2.0] - 2024-12-06\n\n- Added\n'
+      );
+
+      expect(result.preamble).toBe('# Changelog\n\nIntro.\n');
+      expect(result.sections).toEqual([
+        { version: 'Unreleased', content: '## Unreleased\n\n- Pending\n' },
+        { version: '1.2.0', content: '## [1.2.0] - 2024-12-06\n\n- Added\n' }
+      ]);
+    });
+  });
+
+  describe('writeChangelogFile', () => {
+    const mockCore = {
+      info: jest.fn(),
+      error: jest.fn()
+    };
+
+    const generated = [
+      { version: 'v1.2.0', content: '## v1.2.0\n*Dec 6, 2024*\n\n- Generated 1.2.0\n\n' },
+      { version: 'v1.1.0', content: '## v1.1.0\n*Nov 1, 2024*\n\n- Generated 1.1.0\n\n' },
+      { version: 'v1.0.0', content: '## v1.0.0\n*Oct 1, 2024*\n\n- Generated 1.0.0\n\n' }
+    ];
+
+    it('should write every section newest first', () => {
+      fs.existsSync.mockReturnValue(false);
+
+      const content = changelogGenerator.writeChangelogFile(mockCore, 'CHANGELOG.md', generated, { keepExisting: true });
+
+      expect(content).toBe(`# Changelog\n\n${generated.map(section => section.content).join('').trimEnd()}\n`);
+      expect(fs.writeFileSync).toHaveBeenCalledWith('CHANGELOG.md', content);
+      expect(mockCore.info).toHaveBeenCalledWith('Wrote 3 sections to CHANGELOG.md (0 kept from the existing file)');
+    });
+
+    it('should keep hand-written sections in version order', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue(
+        '# Changelog\n\nAll notable changes.\n\n## [1.1.0] - 2024-11-01\n\n- Hand-written 1.1.0\n\n' +
+        '## 1.0.5\n\n- Hotfix\n\n## Unreleased\n\n- Pending\n\n## Legacy\n\n- Old notes\n'
+      );
+
+      const content = changelogGenerator.writeChangelogFile(mockCore, 'CHANGELOG.md', generated, { keepExisting: true });
+
+      expect(content).toBe(
+        '# Changelog\n\nAll notable changes.\n\n' +
+        '## Unreleased\n\n- Pending\n\n' +
+        '## v1.2.0\n*Dec 6, 2024*\n\n- Generated 1.2.0\n\n' +
+        '## [1.1.0] - 2024-11-01\n\n- Hand-written 1.1.0\n\n' +
+        '## 1.0.5\n\n- Hotfix\n\n' +
+        '## v1.0.0\n*Oct 1, 2024*\n\n- Generated 1.0.0\n\n' +
+        '## Legacy\n\n- Old notes\n'
+      );
+      expect(mockCore.info).toHaveBeenCalledWith('Wrote 6 sections to CHANGELOG.md (4 kept from the existing file)');
+    });
+
+    it('should regenerate everything unless keeping existing sections', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('# Changelog\n\n## v1.1.0\n\n- Hand-written\n');
+
+      const content = changelogGenerator.writeChangelogFile(mockCore, 'CHANGELOG.md', generated);
+
+      expect(content).not.toContain('Hand-written');
+      expect(content).toContain('- Generated 1.1.0');
+    });
+  });
+
+  describe('formatDate', () => {
+    const date = '2024-03-05T12:00:00Z';
+
+    it('should support named formats', () => {
+      expect(changelogGenerator.formatDate(date, 'long', 'UTC')).toBe('Mar 5, 2024');
+      expect(changelogGenerator.formatDate(date, 'iso', 'UTC')).toBe('2024-03-05');
+      expect(changelogGenerator.formatDate(date, undefined, 'UTC')).toBe('Mar 5, 2024');
+    });
+
+    it('should support custom patterns', () => {
+      expect(changelogGenerator.formatDate(date, 'DD.MM.YYYY', 'UTC')).toBe('05.03.2024');
+      expect(changelogGenerator.formatDate(date, 'D MMMM YYYY', 'UTC')).toBe('5 March 2024');
+      expect(changelogGenerator.formatDate(date, 'YYYYMMDD', 'UTC')).toBe('20240305');
+    });
+
+    it('should leave other words and bracketed text as they are', () => {
+      expect(changelogGenerator.formatDate(date, 'Date: D MMM YYYY', 'UTC')).toBe('Date: 5 Mar 2024');
+      expect(changelogGenerator.formatDate(date, '[Released] D [D-Day] M', 'UTC')).toBe('Released 5 D-Day 3');
+    });
+
+    it('should convert to the time zone', () => {
+      expect(changelogGenerator.formatDate('2024-03-05T02:00:00Z', 'iso', 'America/Los_Angeles')).toBe('2024-03-04');
+    });
+
+    it('should reject unknown time zones', () => {
+      expect(() => changelogGenerator.formatDate(date, 'iso', 'Mars/Olympus')).toThrow('Invalid time zone "Mars/Olympus"');
+    });
   });
 
   describe('updateChangelogFile', () => {
@@ -139,6 +487,132 @@ describe('changelog-generator', () => {
       expect(mockCore.info).toHaveBeenCalledWith(expect.stringContaining('already exists'));
     });
 
+    it('should match version headings exactly', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('# Changelog\n\n## v1.2.3\n*Dec 5, 2024*\n\n- Patch\n');
+
+      const result = changelogGenerator.updateChangelogFile(mockCore, 'CHANGELOG.md', 'v1.2', '## v1.2\n\n- Older\n\n');
+
+      expect(result).toBe(true);
+      expect(fs.writeFileSync.mock.calls[0][1]).toContain('## v1.2\n');
+    });
+
+    it('should insert new versions in semver order', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('# Changelog\n\nAll notable changes.\n\n## v2.0.0\n\n- Major\n\n## v1.2.0\n\n- Minor\n');
+
+      changelogGenerator.updateChangelogFile(mockCore, 'CHANGELOG.md', 'v1.2.1', '## v1.2.1\n\n- Backport\n\n');
+
+      expect(fs.writeFileSync.mock.calls[0][1]).toBe(
+        '# Changelog\n\nAll notable changes.\n\n## v2.0.0\n\n- Major\n\n## v1.2.1\n\n- Backport\n\n## v1.2.0\n\n- Minor\n'
+      );
+    });
+
+    it('should append versions older than every existing one', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('# Changelog\n\n## v2.0.0\n\n- Major\n');
+
+      changelogGenerator.updateChangelogFile(mockCore, 'CHANGELOG.md', 'v1.0.0', '## v1.0.0\n\n- First\n\n');
+
+      expect(fs.writeFileSync.mock.calls[0][1]).toBe('# Changelog\n\n## v2.0.0\n\n- Major\n\n## v1.0.0\n\n- First\n');
+    });
+
+    describe('replace mode', () => {
+      const existing = '# Changelog\n\n## v1.1.0\n\n- Newer\n\n## [1.0.0] - 2024-12-05\n\n- Stale\n\n## v0.9.0\n\n- Old\n';
+
+      beforeEach(() => {
+        fs.existsSync.mockReturnValue(true);
+        fs.readFileSync.mockReturnValue(existing);
+      });
+
+      it('should replace only the matching section', () => {
+        const changelog = '## v1.0.0\n*Dec 6, 2024*\n\n- Fresh\n\n';
+
+        const result = changelogGenerator.updateChangelogFile(mockCore, 'CHANGELOG.md', 'v1.0.0', changelog, { mode: 'replace' });
+
+        expect(result).toBe(true);
+        expect(fs.writeFileSync.mock.calls[0][1]).toBe(
+          '# Changelog\n\n## v1.1.0\n\n- Newer\n\n## v1.0.0\n*Dec 6, 2024*\n\n- Fresh\n\n## v0.9.0\n\n- Old\n'
+        );
+        expect(mockCore.info).toHaveBeenCalledWith('Replaced the v1.0.0 section of CHANGELOG.md');
+      });
+
+      it('should give the same file when run twice', () => {
+        const changelog = '## v1.0.0\n*Dec 6, 2024*\n\n- Fresh\n\n';
+
+        changelogGenerator.updateChangelogFile(mockCore, 'CHANGELOG.md', 'v1.0.0', changelog, { mode: 'replace' });
+        const first = fs.writeFileSync.mock.calls[0][1];
+        fs.readFileSync.mockReturnValue(first);
+        changelogGenerator.updateChangelogFile(mockCore, 'CHANGELOG.md', 'v1.0.0', changelog, { mode: 'replace' });
+
+        expect(fs.writeFileSync.mock.calls[1][1]).toBe(first);
+      });
+
+      it('should reject unknown modes', () => {
+        expect(() =>
+          changelogGenerator.updateChangelogFile(mockCore, 'CHANGELOG.md', 'v1.0.0', '', { mode: 'overwrite' })
+        ).toThrow('Unknown changelog update mode "overwrite" (expected skip or replace)');
+      });
+    });
+
+    describe('Unreleased section', () => {
+      const existing = '# Changelog\n\n## Unreleased\n\n### Features\n\n- **EMBR-1**: Add login (edited)\n\n## v0.9.0\n*Dec 5, 2024*\n\n- Old feature\n';
+
+      beforeEach(() => {
+        fs.existsSync.mockReturnValue(true);
+        fs.readFileSync.mockReturnValue(existing);
+      });
+
+      it('should replace the Unreleased section', () => {
+        const changelog = '## Unreleased\n\n### Features\n\n- **EMBR-1**: Add login\n- **EMBR-2**: Add signup\n\n';
+
+        const result = changelogGenerator.updateChangelogFile(mockCore, 'CHANGELOG.md', 'Unreleased', changelog);
+
+        expect(result).toBe(true);
+        expect(fs.writeFileSync).toHaveBeenCalledWith(
+          'CHANGELOG.md',
+          '# Changelog\n\n## Unreleased\n\n### Features\n\n- **EMBR-1**: Add login\n- **EMBR-2**: Add signup\n\n## v0.9.0\n*Dec 5, 2024*\n\n- Old feature\n'
+        );
+      });
+
+      it('should add an Unreleased section when there is none', () => {
+        fs.readFileSync.mockReturnValue('# Changelog\n\n## v0.9.0\n*Dec 5, 2024*\n');
+
+        changelogGenerator.updateChangelogFile(mockCore, 'CHANGELOG.md', 'Unreleased', '## Unreleased\n\n_No changes recorded._\n\n');
+
+        expect(fs.writeFileSync.mock.calls[0][1]).toBe('# Changelog\n\n## Unreleased\n\n_No changes recorded._\n\n## v0.9.0\n*Dec 5, 2024*\n');
+      });
+
+      it('should rename the Unreleased section on release', () => {
+        const changelog = '## v1.0.0\n*2024-12-06*\n\n### Features\n\n- **EMBR-1**: Add login\n\n';
+
+        changelogGenerator.updateChangelogFile(mockCore, 'CHANGELOG.md', 'v1.0.0', changelog, { unreleased: true });
+
+        const written = fs.writeFileSync.mock.calls[0][1];
+        expect(written).toMatch(/^# Changelog\n\n## v1\.0\.0\n\*2024-12-06\*\n\n### Features\n\n- \*\*EMBR-1\*\*: Add login \(edited\)\n\n## v0\.9\.0/);
+        expect(written).not.toContain('## Unreleased');
+        expect(mockCore.info).toHaveBeenCalledWith('Renamed the Unreleased section of CHANGELOG.md to v1.0.0');
+      });
+
+      it('should rename the Unreleased section with the heading of the rendered notes', () => {
+        fs.readFileSync.mockReturnValue('# Changelog\n\n## Unreleased\n_Not released yet_\n\n* Add login\n');
+
+        changelogGenerator.updateChangelogFile(mockCore, 'CHANGELOG.md', 'v1.0.0', '## v1.0.0 (2024-12-06)\n\n* Add login\n', {
+          unreleased: true
+        });
+
+        expect(fs.writeFileSync.mock.calls[0][1]).toBe('# Changelog\n\n## v1.0.0 (2024-12-06)\n\n* Add login\n');
+      });
+
+      it('should keep the Unreleased section on top unless enabled', () => {
+        const changelog = '## v1.0.0\n*Dec 6, 2024*\n\n- New\n\n';
+
+        changelogGenerator.updateChangelogFile(mockCore, 'CHANGELOG.md', 'v1.0.0', changelog);
+
+        expect(fs.writeFileSync.mock.calls[0][1]).toBe(existing.replace('## v0.9.0', `${changelog}## v0.9.0`));
+      });
+    });
+
     it('should throw error on file write failure', () => {
       fs.existsSync.mockReturnValue(false);
       fs.writeFileSync.mockImplementation(() => {
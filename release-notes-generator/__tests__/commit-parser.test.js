@@ -4,6 +4,23 @@ const commitParser = require('../src/commit-parser');
 // Mock child_process
 jest.mock('child_process');
 
+/**
+ * Builds git log output in the record-delimited format used by getCommitsBetween
+ * @param {Array<Object>} commits - Commits to format (hash, message and optional body, author, date, trailers)
+ * @returns {string} Raw git log output
+ */
+function gitLogOutput(commits) {
+  return commits.map(c => [
+    c.hash,
+    c.message,
+    c.authorName || 'Jane Doe',
+    c.authorEmail || 'jane@example.com',
+    c.date || '2024-12-06T10:00:00+00:00',
+    c.body || '',
+    c.trailers || ''
+  ].join('\x1f') + '\x1e').join('\n');
+}
+
 describe('commit-parser', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -20,6 +37,15 @@ describe('commit-parser', () => {
       });
     });
 
+    it('should split a scope off the type', () => {
+      expect(commitParser.parseCommitMessage('[EMBR-1] Chore(deps): Bump lodash')).toEqual({
+        ticket: 'EMBR-1',
+        type: 'Chore',
+        scope: 'deps',
+        description: 'Bump lodash'
+      });
+    });
+
     it('should return null for commit messages without brackets', () => {
       const result = commitParser.parseCommitMessage('EMBR-5678 Fix: Resolve auth bug');
 
@@ -57,38 +83,251 @@ describe('commit-parser', () => {
       expect(commitParser.parseCommitMessage('[EMBR-1] Docs: Update docs')).toMatchObject({ type: 'Docs' });
       expect(commitParser.parseCommitMessage('[EMBR-1] Chore: Update deps')).toMatchObject({ type: 'Chore' });
     });
+
+    it('should accept tickets from configured project keys', () => {
+      const options = { ticketPattern: 'EMBR, SDK, PLAT' };
+
+      expect(commitParser.parseCommitMessage('[SDK-42] Fix: Crash on launch', options)).toEqual({
+        ticket: 'SDK-42',
+        type: 'Fix',
+        description: 'Crash on launch'
+      });
+      expect(commitParser.parseCommitMessage('[plat-7] Feature: Add API', options)).toMatchObject({ ticket: 'PLAT-7' });
+      expect(commitParser.parseCommitMessage('[OPS-1] Fix: Not configured', options)).toBeNull();
+    });
+
+    it('should accept GitHub issue refs when # is configured', () => {
+      const result = commitParser.parseCommitMessage('[#123] Fix: Resolve crash', { ticketPattern: 'EMBR,#' });
+
+      expect(result).toMatchObject({ ticket: '#123', type: 'Fix' });
+    });
+
+    it('should accept a custom ticket regex', () => {
+      const options = { ticketPattern: '/([A-Z]{2,5})-\\d+/' };
+
+      expect(commitParser.parseCommitMessage('[MOB-99] Docs: Update guide', options)).toEqual({
+        ticket: 'MOB-99',
+        type: 'Docs',
+        description: 'Update guide'
+      });
+    });
+  });
+
+  describe('parseCommitMessage with several tickets', () => {
+    it('should credit all tickets in the Embrace format', () => {
+      expect(commitParser.parseCommitMessage('[EMBR-1][embr-2] Fix: Shared crash')).toEqual({
+        ticket: 'EMBR-1',
+        tickets: ['EMBR-1', 'EMBR-2'],
+        type: 'Fix',
+        description: 'Shared crash'
+      });
+    });
+
+    it('should credit all tickets in Conventional Commits', () => {
+      expect(commitParser.parseCommitMessage('fix(core): [EMBR-1] [SDK-2] shared crash', {
+        commitFormat: 'conventional',
+        ticketPattern: 'EMBR,SDK'
+      })).toMatchObject({ ticket: 'EMBR-1', tickets: ['EMBR-1', 'SDK-2'], scope: 'core' });
+    });
+  });
+
+  describe('parseCommitMessage with Conventional Commits', () => {
+    const options = { commitFormat: 'conventional' };
+
+    it('should parse type, scope and description', () => {
+      expect(commitParser.parseCommitMessage('feat(android): add X', options)).toEqual({
+        ticket: null,
+        type: 'feat',
+        scope: 'android',
+        description: 'add X'
+      });
+    });
+
+    it('should parse headers without scope and with breaking marker', () => {
+      expect(commitParser.parseCommitMessage('fix!: drop Y', options)).toEqual({
+        ticket: null,
+        type: 'fix',
+        description: 'drop Y',
+        breaking: true
+      });
+    });
+
+    it('should extract tickets before the type or the description', () => {
+      expect(commitParser.parseCommitMessage('[EMBR-12] feat(ios): add Z', options)).toMatchObject({
+        ticket: 'EMBR-12',
+        scope: 'ios',
+        description: 'add Z'
+      });
+      expect(commitParser.parseCommitMessage('fix(core): [embr-34] handle null', options)).toMatchObject({
+        ticket: 'EMBR-34',
+        type: 'fix',
+        description: 'handle null'
+      });
+    });
+
+    it('should not parse multi-word types', () => {
+      expect(commitParser.parseCommitMessage('[EMBR-1] Bug Fix: Resolve crash', options)).toBeNull();
+      expect(commitParser.parseCommitMessage('Update dependencies', options)).toBeNull();
+    });
+
+    it('should accept either format in auto mode', () => {
+      const auto = { commitFormat: 'auto' };
+
+      expect(commitParser.parseCommitMessage('feat(web): add X', auto)).toMatchObject({ type: 'feat', scope: 'web' });
+      expect(commitParser.parseCommitMessage('[EMBR-1] Bug Fix: Resolve crash', auto)).toEqual({
+        ticket: 'EMBR-1',
+        type: 'Bug Fix',
+        description: 'Resolve crash'
+      });
+    });
+
+    it('should not parse Conventional Commits in the default embrace mode', () => {
+      expect(commitParser.parseCommitMessage('feat(android): add X')).toBeNull();
+    });
+
+    it('should throw on an unknown format', () => {
+      expect(() => commitParser.parseCommitMessage('feat: x', { commitFormat: 'angular' })).toThrow('Unknown commit format');
+    });
+  });
+
+  describe('parseTrailers', () => {
+    it('should group trailers by lowercase token', () => {
+      expect(commitParser.parseTrailers('Release-Note: Faster startup\nrelease-note: Smaller binary\n')).toEqual({
+        'release-note': ['Faster startup', 'Smaller binary']
+      });
+    });
+
+    it('should return an empty object for empty input', () => {
+      expect(commitParser.parseTrailers('')).toEqual({});
+      expect(commitParser.parseTrailers(undefined)).toEqual({});
+    });
+  });
+
+  describe('extractBreakingNote', () => {
+    it('should return null without a footer', () => {
+      expect(commitParser.extractBreakingNote('')).toBeNull();
+      expect(commitParser.extractBreakingNote('Just a body')).toBeNull();
+    });
+
+    it('should read BREAKING CHANGE and BREAKING-CHANGE footers', () => {
+      expect(commitParser.extractBreakingNote('Body\n\nBREAKING CHANGE: init() now requires an app ID')).toBe('init() now requires an app ID');
+      expect(commitParser.extractBreakingNote('BREAKING-CHANGE: removed v1 API')).toBe('removed v1 API');
+    });
+
+    it('should keep continuation lines until the next footer', () => {
+      const body = 'BREAKING CHANGE: config moved\nUse Embrace.configure() instead\nReviewed-by: Jane';
+
+      expect(commitParser.extractBreakingNote(body)).toBe('config moved\nUse Embrace.configure() instead');
+    });
+  });
+
+  describe('buildTicketRegex', () => {
+    it('should default to EMBR tickets', () => {
+      expect(commitParser.buildTicketRegex()).toBe('EMBR-\\d+');
+      expect(commitParser.buildTicketRegex('')).toBe('EMBR-\\d+');
+    });
+
+    it('should build alternatives from a key list', () => {
+      expect(commitParser.buildTicketRegex('EMBR,SDK #')).toBe('EMBR-\\d+|SDK-\\d+|#\\d+');
+    });
+
+    it('should throw on an invalid regex', () => {
+      expect(() => commitParser.buildTicketRegex('[A-Z+-(')).toThrow('Invalid ticket pattern');
+    });
   });
 
   describe('getCommitsBetween', () => {
-    it('should return commits between two refs', () => {
-      execSync.mockReturnValue('abc123|[EMBR-1234] Feature: Add feature\ndef456|[EMBR-5678] Fix: Fix bug\n');
+    it('should return commits between two refs', async () => {
+      execSync.mockReturnValue(gitLogOutput([
+        { hash: 'abc123', message: '[EMBR-1234] Feature: Add feature' },
+        { hash: 'def456', message: '[EMBR-5678] Fix: Fix bug' }
+      ]));
 
-      const commits = commitParser.getCommitsBetween('v1.0.0', 'v2.0.0');
+      const commits = await commitParser.getCommitsBetween('v1.0.0', 'v2.0.0');
 
-      expect(commits).toEqual([
+      expect(commits.map(({ hash, message }) => ({ hash, message }))).toEqual([
         { hash: 'abc123', message: '[EMBR-1234] Feature: Add feature' },
         { hash: 'def456', message: '[EMBR-5678] Fix: Fix bug' }
       ]);
       expect(execSync).toHaveBeenCalledWith(
-        'git log v1.0.0..v2.0.0 --pretty=format:"%H|%s"',
+        `git log 'v1.0.0..v2.0.0' --pretty=format:"%H%x1f%s%x1f%an%x1f%ae%x1f%aI%x1f%b%x1f%(trailers:only,unfold)%x1e"`,
+        { encoding: 'utf-8' }
+      );
+    });
+
+    it('should keep pipes in subjects and read multi-line bodies', async () => {
+      execSync.mockReturnValue(gitLogOutput([
+        { hash: 'abc123', message: '[EMBR-1] Fix: Handle a|b input', body: 'First line\n\nBREAKING CHANGE: removed X\n' }
+      ]));
+
+      const commits = await commitParser.getCommitsBetween('v1.0.0', 'v2.0.0');
+
+      expect(commits[0]).toMatchObject({
+        hash: 'abc123',
+        message: '[EMBR-1] Fix: Handle a|b input',
+        body: 'First line\n\nBREAKING CHANGE: removed X'
+      });
+    });
+
+    it('should expose author, date and trailers', async () => {
+      execSync.mockReturnValue(gitLogOutput([
+        {
+          hash: 'abc123',
+          message: '[EMBR-1] Feature: Add X',
+          authorName: 'Ana Dev',
+          authorEmail: 'ana@example.com',
+          date: '2024-11-01T09:30:00+01:00',
+          body: 'Details\n\nChangelog: Add X to the SDK\nCo-authored-by: Bo <bo@example.com>',
+          trailers: 'Changelog: Add X to the SDK\nCo-authored-by: Bo <bo@example.com>\nCo-authored-by: Cy <cy@example.com>\n'
+        }
+      ]));
+
+      const [commit] = await commitParser.getCommitsBetween('v1.0.0', 'v2.0.0');
+
+      expect(commit.author).toEqual({ name: 'Ana Dev', email: 'ana@example.com' });
+      expect(commit.date).toBe('2024-11-01T09:30:00+01:00');
+      expect(commit.trailers).toEqual({
+        'changelog': ['Add X to the SDK'],
+        'co-authored-by': ['Bo <bo@example.com>', 'Cy <cy@example.com>']
+      });
+    });
+
+    it('should limit commits to the given paths', async () => {
+      execSync.mockReturnValue('');
+
+      await commitParser.getCommitsBetween('v1.0.0', 'v2.0.0', ['release-notes-generator/', "docs/it's here"]);
+
+      expect(execSync).toHaveBeenCalledWith(
+        expect.stringMatching(/%x1e" -- 'release-notes-generator\/' 'docs\/it'\\''s here'$/),
+        { encoding: 'utf-8' }
+      );
+    });
+
+    it('should follow first-parent history when asked', async () => {
+      execSync.mockReturnValue('');
+
+      await commitParser.getCommitsBetween('v1.0.0', 'v2.0.0', [], undefined, { firstParent: true });
+
+      expect(execSync).toHaveBeenCalledWith(
+        expect.stringMatching(/^git log 'v1\.0\.0\.\.v2\.0\.0' --first-parent --pretty=format:/),
         { encoding: 'utf-8' }
       );
     });
 
-    it('should return empty array when no commits', () => {
+    it('should return empty array when no commits', async () => {
       execSync.mockReturnValue('');
 
-      const commits = commitParser.getCommitsBetween('v1.0.0', 'v2.0.0');
+      const commits = await commitParser.getCommitsBetween('v1.0.0', 'v2.0.0');
 
       expect(commits).toEqual([]);
     });
 
-    it('should throw error when git command fails', () => {
+    it('should throw error when git command fails', async () => {
       execSync.mockImplementation(() => {
         throw new Error('git failed');
       });
 
-      expect(() => commitParser.getCommitsBetween('v1.0.0', 'v2.0.0')).toThrow('Failed to get commits');
+      await expect(commitParser.getCommitsBetween('v1.0.0', 'v2.0.0')).rejects.toThrow('Failed to get commits');
     });
   });
 
@@ -157,6 +396,408 @@ describe('commit-parser', () => {
 
       expect(result.groups).toHaveProperty('Custom');
     });
+
+    it('should pass the ticket pattern to the parser', () => {
+      const customCommits = [
+        { hash: 'abc', message: '[SDK-1] Feature: Add crash reporting' },
+        { hash: 'def', message: '[EMBR-2] Fix: Not in this project' }
+      ];
+
+      const result = commitParser.groupCommits(customCommits, {}, { ticketPattern: 'SDK' });
+
+      expect(result.groups['Features']).toEqual([
+        { ticket: 'SDK-1', description: 'Add crash reporting', hash: 'abc' }
+      ]);
+      expect(result.unmatched).toHaveLength(1);
+    });
+
+    it('should keep the scope of Conventional Commits', () => {
+      const customCommits = [
+        { hash: 'abc1234567', message: 'feat(android): add X' },
+        { hash: 'def1234567', message: '[EMBR-1] Fix: Resolve crash' }
+      ];
+
+      const result = commitParser.groupCommits(customCommits, {}, { commitFormat: 'auto' });
+
+      expect(result.groups['Features']).toEqual([
+        { ticket: null, scope: 'android', description: 'add X', hash: 'abc1234' }
+      ]);
+      expect(result.groups['Bug Fixes']).toEqual([
+        { ticket: 'EMBR-1', description: 'Resolve crash', hash: 'def1234' }
+      ]);
+    });
+    it('should leave unmapped Conventional Commits types to Other', () => {
+      const customCommits = [
+        { hash: 'abc1234567', message: 'WIP: stuff' },
+        { hash: 'def1234567', message: 'Release: 1.2' },
+        { hash: 'ghi1234567', message: 'perf: faster startup' }
+      ];
+
+      const result = commitParser.groupCommits(customCommits, { perf: 'Performance' }, { commitFormat: 'conventional' });
+
+      expect(Object.keys(result.groups)).toEqual(['Performance']);
+      expect(result.unmatched.map(commit => commit.message)).toEqual(['WIP: stuff', 'Release: 1.2']);
+    });
+
+    it('should keep ticketed custom types as sections in auto mode', () => {
+      const customCommits = [
+        { hash: 'abc1234567', message: '[EMBR-1] Perf: Faster startup' },
+        { hash: 'def1234567', message: 'WIP: stuff' }
+      ];
+
+      const result = commitParser.groupCommits(customCommits, {}, { commitFormat: 'auto' });
+
+      expect(result.groups['Perf']).toEqual([{ ticket: 'EMBR-1', description: 'Faster startup', hash: 'abc1234' }]);
+      expect(result.unmatched).toHaveLength(1);
+    });
+  });
+
+  describe('groupCommits pull requests', () => {
+    it('should copy the pull request and drop the squash merge suffix', () => {
+      const result = commitParser.groupCommits([
+        {
+          hash: 'abc1234567',
+          message: '[EMBR-1] Feature: Add login (#123)',
+          pullRequest: { number: 123, url: 'https://github.com/o/r/pull/123', author: 'octocat', labels: ['feature'] }
+        }
+      ]);
+
+      expect(result.groups['Features']).toEqual([
+        {
+          ticket: 'EMBR-1',
+          description: 'Add login',
+          hash: 'abc1234',
+          pullRequest: { number: 123, url: 'https://github.com/o/r/pull/123', author: 'octocat' }
+        }
+      ]);
+    });
+  });
+
+  describe('groupCommits labels', () => {
+    const withLabels = (hash, message, labels) => ({
+      hash,
+      message,
+      pullRequest: { number: 1, url: 'https://github.com/o/r/pull/1', author: 'octocat', labels }
+    });
+
+    const labelTypes = { 'bug': 'Bug Fixes', 'sdk-android': 'Android' };
+
+    it('should use labels as fallback for unknown or unparsable titles', () => {
+      const result = commitParser.groupCommits([
+        withLabels('abc1234567', '[EMBR-1] Feature: Add login', ['sdk-android']),
+        withLabels('def1234567', '[EMBR-2] Misc: Tweak retry', ['sdk-android']),
+        withLabels('ghi1234567', 'Fix crash on startup', ['Bug'])
+      ], {}, { labelTypes });
+
+      expect(result.groups['Features']).toHaveLength(1);
+      expect(result.groups['Android']).toEqual([
+        expect.objectContaining({ ticket: 'EMBR-2', description: 'Tweak retry' })
+      ]);
+      expect(result.groups['Bug Fixes']).toEqual([
+        expect.objectContaining({ ticket: null, description: 'Fix crash on startup', hash: 'ghi1234' })
+      ]);
+      expect(result.unmatched).toEqual([]);
+    });
+
+    it('should let labels win in override mode', () => {
+      const result = commitParser.groupCommits([
+        withLabels('abc1234567', '[EMBR-1] Feature: Actually a fix', ['bug', 'sdk-android'])
+      ], {}, { labelTypes, labelMode: 'override' });
+
+      expect(result.groups).toEqual({
+        'Bug Fixes': [expect.objectContaining({ ticket: 'EMBR-1', description: 'Actually a fix' })]
+      });
+    });
+
+    it('should drop commits with a skip label', () => {
+      const result = commitParser.groupCommits([
+        withLabels('abc1234567', '[EMBR-1] Feature: Internal tooling', ['skip-changelog']),
+        withLabels('def1234567', 'Bump version', ['Skip-Changelog'])
+      ]);
+
+      expect(result.groups).toEqual({});
+      expect(result.unmatched).toEqual([]);
+    });
+
+    it('should support custom skip labels', () => {
+      const result = commitParser.groupCommits([
+        withLabels('abc1234567', '[EMBR-1] Feature: Internal', ['no-release-notes'])
+      ], {}, { skipLabels: ['no-release-notes'] });
+
+      expect(result.groups).toEqual({});
+    });
+
+    it('should not attach pull requests when linking is disabled', () => {
+      const result = commitParser.groupCommits([
+        withLabels('abc1234567', '[EMBR-1] Feature: Add login', [])
+      ], {}, { linkPullRequests: false });
+
+      expect(result.groups['Features'][0].pullRequest).toBeUndefined();
+    });
+
+    it('should throw on an unknown label mode', () => {
+      expect(() => commitParser.groupCommits([], {}, { labelMode: 'replace' })).toThrow('Unknown label mode');
+    });
+  });
+
+  describe('groupCommits consolidation', () => {
+    // git log order: newest first
+    const commits = [
+      { hash: 'ccc1234567', message: '[EMBR-1] Fix: Handle null session in part 2' },
+      { hash: 'ddd1234567', message: '[EMBR-2][EMBR-3] Fix: Shared crash' },
+      { hash: 'bbb1234567', message: '[EMBR-1] Feature: Session replay part 2' },
+      { hash: 'aaa1234567', message: '[EMBR-1] Feature: Session replay' },
+      { hash: 'eee1234567', message: 'feat: ticketless change' }
+    ];
+
+    it('should keep one entry per commit by default', () => {
+      const result = commitParser.groupCommits(commits, {}, { commitFormat: 'auto' });
+
+      expect(result.groups['Features']).toHaveLength(3);
+      expect(result.groups['Bug Fixes']).toEqual([
+        { ticket: 'EMBR-1', description: 'Handle null session in part 2', hash: 'ccc1234' },
+        { ticket: 'EMBR-2', tickets: ['EMBR-2', 'EMBR-3'], description: 'Shared crash', hash: 'ddd1234' }
+      ]);
+    });
+
+    it('should merge entries by ticket keeping the first description', () => {
+      const result = commitParser.groupCommits(commits, {}, { commitFormat: 'auto', consolidate: 'first' });
+
+      expect(result.groups['Features']).toEqual([
+        { ticket: 'EMBR-1', description: 'Session replay', hash: 'aaa1234', hashes: ['aaa1234', 'bbb1234', 'ccc1234'] },
+        { ticket: null, description: 'ticketless change', hash: 'eee1234' }
+      ]);
+      expect(result.groups['Bug Fixes']).toEqual([
+        { ticket: 'EMBR-3', description: 'Shared crash', hash: 'ddd1234', hashes: ['ddd1234'] },
+        { ticket: 'EMBR-2', description: 'Shared crash', hash: 'ddd1234', hashes: ['ddd1234'] }
+      ]);
+    });
+
+    it('should keep the most descriptive description', () => {
+      const result = commitParser.groupCommits(commits, {}, { consolidate: 'descriptive' });
+
+      expect(result.groups['Features']).toEqual([
+        expect.objectContaining({ ticket: 'EMBR-1', description: 'Handle null session in part 2' })
+      ]);
+    });
+
+    it('should throw on an unknown consolidation mode', () => {
+      expect(() => commitParser.groupCommits(commits, {}, { consolidate: 'latest' })).toThrow('Unknown consolidation mode');
+    });
+  });
+
+  describe('groupCommits exclusions', () => {
+    it('should exclude commits by subject regex', () => {
+      const result = commitParser.groupCommits([
+        { hash: 'abc1234567', message: '[EMBR-1] Feature: WIP login' },
+        { hash: 'def1234567', message: '[EMBR-2] Feature: Add signup' }
+      ], {}, { excludePatterns: ['/wip/i'] });
+
+      expect(result.groups['Features']).toEqual([expect.objectContaining({ ticket: 'EMBR-2' })]);
+    });
+
+    it('should exclude every matching commit with a global or sticky regex', () => {
+      const commits = [
+        { hash: 'abc1234567', message: 'wip one' },
+        { hash: 'def1234567', message: 'wip two' },
+        { hash: 'ghi1234567', message: 'wip three' }
+      ];
+
+      for (const pattern of ['/^wip/g', '/wip/y']) {
+        expect(commitParser.groupCommits(commits, {}, { excludePatterns: [pattern] }).unmatched).toEqual([]);
+      }
+    });
+
+    it('should exclude commits by type and scope', () => {
+      const result = commitParser.groupCommits([
+        { hash: 'abc1234567', message: 'chore(deps): bump okhttp' },
+        { hash: 'def1234567', message: 'chore(build): speed up CI' },
+        { hash: 'ghi1234567', message: 'docs: fix typo' }
+      ], {}, { commitFormat: 'conventional', excludePatterns: ['chore(deps)', 'DOCS'] });
+
+      expect(result.groups).toEqual({
+        'Chores': [expect.objectContaining({ scope: 'build', description: 'speed up CI' })]
+      });
+    });
+
+    it('should exclude by type and scope in the default format', () => {
+      const result = commitParser.groupCommits([
+        { hash: 'abc1234567', message: 'chore(deps): bump lodash from 1 to 2' },
+        { hash: 'def1234567', message: '[EMBR-1] Chore(deps): Bump okhttp' },
+        { hash: 'ghi1234567', message: '[EMBR-2] Chore(build): Speed up CI' }
+      ], {}, { excludePatterns: ['chore(deps)'] });
+
+      expect(result.groups).toEqual({
+        'Chores': [expect.objectContaining({ ticket: 'EMBR-2', scope: 'build', description: 'Speed up CI' })]
+      });
+      expect(result.unmatched).toEqual([]);
+    });
+
+    it('should skip commits with a [skip changelog] marker', () => {
+      const result = commitParser.groupCommits([
+        { hash: 'abc1234567', message: '[EMBR-1] Chore: Bump version [skip changelog]' },
+        { hash: 'def1234567', message: 'Update CI', body: 'Internal only\n\n[skip-changelog]' },
+        { hash: 'ghi1234567', message: '[EMBR-3] Fix: Crash' }
+      ]);
+
+      expect(Object.keys(result.groups)).toEqual(['Bug Fixes']);
+      expect(result.unmatched).toEqual([]);
+    });
+
+    it('should throw on an invalid exclude pattern', () => {
+      expect(() => commitParser.groupCommits([], {}, { excludePatterns: ['/[/'] })).toThrow('Invalid exclude pattern');
+      expect(() => commitParser.groupCommits([], {}, { excludePatterns: ['not a type'] })).toThrow('Invalid exclude pattern');
+    });
+  });
+
+  describe('groupCommits reverts', () => {
+    it('should drop a commit and its revert in the same range', () => {
+      const result = commitParser.groupCommits([
+        { hash: 'fff1234567', message: 'Revert "[EMBR-1] Feature: Add login"', body: 'This reverts commit abc1234567.' },
+        { hash: 'abc1234567', message: '[EMBR-1] Feature: Add login' },
+        { hash: 'def1234567', message: '[EMBR-2] Fix: Crash' }
+      ]);
+
+      expect(result.groups).toEqual({
+        'Bug Fixes': [expect.objectContaining({ ticket: 'EMBR-2' })]
+      });
+      expect(result.unmatched).toEqual([]);
+    });
+
+    it('should pair reverts by subject when the body has no hash', () => {
+      const result = commitParser.groupCommits([
+        { hash: 'fff1234567', message: 'Revert "Update dependencies"' },
+        { hash: 'abc1234567', message: 'Update dependencies' }
+      ]);
+
+      expect(result.groups).toEqual({});
+      expect(result.unmatched).toEqual([]);
+    });
+
+    it('should put lone reverts in their own group', () => {
+      const result = commitParser.groupCommits([
+        { hash: 'fff1234567', message: 'Revert "[EMBR-1] Feature: Add login"', body: 'This reverts commit 0001234567.' },
+        { hash: 'eee1234567', message: 'Revert "Tweak logging"' }
+      ]);
+
+      expect(result.groups).toEqual({
+        'Reverts': [
+          { ticket: 'EMBR-1', description: 'Add login', hash: 'fff1234' },
+          { ticket: null, description: 'Tweak logging', hash: 'eee1234' }
+        ]
+      });
+    });
+
+    it('should keep the original when its revert is reverted', () => {
+      const result = commitParser.groupCommits([
+        { hash: 'ccc1234567', message: 'Revert "Revert "[EMBR-1] Feature: Add login""', body: 'This reverts commit bbb1234567.' },
+        { hash: 'bbb1234567', message: 'Revert "[EMBR-1] Feature: Add login"', body: 'This reverts commit aaa1234567.' },
+        { hash: 'aaa1234567', message: '[EMBR-1] Feature: Add login' }
+      ]);
+
+      expect(result.groups).toEqual({
+        'Features': [expect.objectContaining({ ticket: 'EMBR-1', hash: 'aaa1234' })]
+      });
+    });
+  });
+
+  describe('parseMergeCommit', () => {
+    it('should take the PR title from the merge commit body', () => {
+      const title = commitParser.parseMergeCommit({
+        hash: 'abc1234567',
+        message: 'Merge pull request #12 from embrace-io/feature/EMBR-1-login',
+        body: '[EMBR-1] Feature: Add login\n\nLonger PR description'
+      });
+
+      expect(title).toBe('[EMBR-1] Feature: Add login');
+    });
+
+    it('should build the title from the branch name without a body', () => {
+      const commit = { hash: 'abc1234567', message: 'Merge pull request #12 from octocat/fix/embr-42-crash-on-launch', body: '' };
+
+      expect(commitParser.parseMergeCommit(commit)).toBe('[EMBR-42] Fix: Crash on launch');
+      expect(commitParser.parseMergeCommit(commit, { commitFormat: 'conventional' })).toBe('fix: [EMBR-42] Crash on launch');
+    });
+
+    it('should keep the subject when the branch has no ticket', () => {
+      const commit = { hash: 'abc1234567', message: 'Merge pull request #12 from octocat/patch-1', body: '' };
+
+      expect(commitParser.parseMergeCommit(commit)).toBe('Merge pull request #12 from octocat/patch-1');
+    });
+
+    it('should ignore other merge commits', () => {
+      expect(commitParser.parseMergeCommit({ hash: 'abc', message: "Merge branch 'main' into feature" })).toBeNull();
+    });
+  });
+
+  describe('groupCommits merge commits', () => {
+    const commits = [
+      { hash: 'mmm1234567', message: 'Merge pull request #12 from embrace-io/feature/EMBR-1-login', body: '[EMBR-1] Feature: Add login' },
+      { hash: 'bbb1234567', message: "Merge branch 'main' into feature/EMBR-1-login" },
+      { hash: 'aaa1234567', message: '[EMBR-1] Feature: Wire login screen' }
+    ];
+
+    it('should skip merge commits by default', () => {
+      const result = commitParser.groupCommits(commits);
+
+      expect(result.groups['Features'].map(item => item.hash)).toEqual(['aaa1234']);
+      expect(result.unmatched).toEqual([]);
+    });
+
+    it('should add entries from pull request merge commits', () => {
+      const result = commitParser.groupCommits(commits, {}, { mergeCommits: 'include' });
+
+      expect(result.groups['Features']).toEqual([
+        { ticket: 'EMBR-1', description: 'Add login', hash: 'mmm1234' },
+        { ticket: 'EMBR-1', description: 'Wire login screen', hash: 'aaa1234' }
+      ]);
+    });
+
+    it('should reject unknown merge commit modes', () => {
+      expect(() => commitParser.groupCommits([], {}, { mergeCommits: 'all' })).toThrow('Unknown merge commit mode');
+    });
+  });
+
+  describe('groupCommits breaking changes', () => {
+    it('should collect commits with a breaking marker', () => {
+      const result = commitParser.groupCommits([
+        { hash: 'abc1234567', message: '[EMBR-1] Feature!: Replace session API' },
+        { hash: 'def1234567', message: '[EMBR-2] Fix: Regular fix' }
+      ]);
+
+      expect(result.breaking).toEqual([
+        { ticket: 'EMBR-1', description: 'Replace session API', hash: 'abc1234', breaking: true }
+      ]);
+      expect(result.groups['Features'][0]).toMatchObject({ breaking: true });
+      expect(result.groups['Bug Fixes'][0].breaking).toBeUndefined();
+    });
+
+    it('should use the footer text as migration note', () => {
+      const result = commitParser.groupCommits([
+        { hash: 'abc1234567', message: 'feat(android): new init', body: 'BREAKING CHANGE: pass the app ID to init()' }
+      ], {}, { commitFormat: 'conventional' });
+
+      expect(result.breaking[0]).toMatchObject({
+        scope: 'android',
+        description: 'new init',
+        breakingNote: 'pass the app ID to init()'
+      });
+    });
+
+    it('should call out unmatched commits with a breaking footer', () => {
+      const result = commitParser.groupCommits([
+        { hash: 'abc1234567', message: 'Remove legacy API', body: 'BREAKING-CHANGE: use v2 endpoints' }
+      ]);
+
+      expect(result.unmatched).toHaveLength(1);
+      expect(result.breaking).toEqual([
+        { ticket: null, description: 'Remove legacy API', hash: 'abc1234', breaking: true, breakingNote: 'use v2 endpoints' }
+      ]);
+    });
+
+    it('should return an empty list without breaking changes', () => {
+      expect(commitParser.groupCommits([{ hash: 'abc', message: '[EMBR-1] Fix: x' }]).breaking).toEqual([]);
+    });
   });
 
   describe('sortGroupNames', () => {
@@ -185,6 +826,12 @@ describe('commit-parser', () => {
 
       expect(sorted).toEqual(['Features', 'Apple', 'Zebra']);
     });
+
+    it('should use a custom section order', () => {
+      const sorted = commitParser.sortGroupNames(['Chores', 'Features', 'Bug Fixes', 'Android'], ['Bug Fixes', 'Chores']);
+
+      expect(sorted).toEqual(['Bug Fixes', 'Chores', 'Android', 'Features']);
+    });
   });
 
   describe('parseAndGroupCommits', () => {
@@ -196,10 +843,13 @@ describe('commit-parser', () => {
       mockCore.info.mockClear();
     });
 
-    it('should parse and group commits with logging', () => {
-      execSync.mockReturnValue('abc123|[EMBR-1] Feature: Add feature\ndef456|[EMBR-2] Fix: Fix bug\n');
+    it('should parse and group commits with logging', async () => {
+      execSync.mockReturnValue(gitLogOutput([
+        { hash: 'abc123', message: '[EMBR-1] Feature: Add feature' },
+        { hash: 'def456', message: '[EMBR-2] Fix: Fix bug' }
+      ]));
 
-      const result = commitParser.parseAndGroupCommits(mockCore, 'v1.0.0', 'v2.0.0');
+      const result = await commitParser.parseAndGroupCommits(mockCore, 'v1.0.0', 'v2.0.0');
 
       expect(result.groups).toHaveProperty('Features');
       expect(result.groups).toHaveProperty('Bug Fixes');
@@ -207,10 +857,10 @@ describe('commit-parser', () => {
       expect(mockCore.info).toHaveBeenCalledWith('Found 2 commits to process');
     });
 
-    it('should pass additional types to groupCommits', () => {
-      execSync.mockReturnValue('abc123|[EMBR-1] Perf: Optimize\n');
+    it('should pass additional types to groupCommits', async () => {
+      execSync.mockReturnValue(gitLogOutput([{ hash: 'abc123', message: '[EMBR-1] Perf: Optimize' }]));
 
-      const result = commitParser.parseAndGroupCommits(
+      const result = await commitParser.parseAndGroupCommits(
         mockCore,
         'v1.0.0',
         'v2.0.0',
@@ -0,0 +1,431 @@
+const fs = require('fs');
+const { execSync } = require('child_process');
+const commitSource = require('../src/commit-source');
+const tagUtils = require('../src/tag-utils');
+const commitParser = require('../src/commit-parser');
+
+// Mock fs and child_process modules
+jest.mock('fs');
+jest.mock('child_process');
+
+describe('commit-source', () => {
+  const mockContext = {
+    repo: {
+      owner: 'embrace-io',
+      repo: 'test-repo'
+    }
+  };
+
+  /**
+   * Builds a commit as returned by the GitHub compare and list commits endpoints
+   */
+  function apiCommit(sha, message, date = '2024-12-06T10:00:00Z') {
+    return {
+      sha,
+      commit: {
+        message,
+        author: { name: 'Jane Doe', email: 'jane@example.com', date },
+        committer: { date }
+      }
+    };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('splitCommitMessage', () => {
+    it('should split subject, body and trailers', () => {
+      const result = commitSource.splitCommitMessage(
+        '[EMBR-1] Feature: Add login\n\nLonger explanation.\n\nCo-authored-by: Ana <ana@example.com>\nChangelog: skip'
+      );
+
+      expect(result).toEqual({
+        message: '[EMBR-1] Feature: Add login',
+        body: 'Longer explanation.\n\nCo-authored-by: Ana <ana@example.com>\nChangelog: skip',
+        trailers: {
+          'co-authored-by': ['Ana <ana@example.com>'],
+          changelog: ['skip']
+        }
+      });
+    });
+
+    it('should not treat prose as trailers', () => {
+      const result = commitSource.splitCommitMessage('Fix crash\n\nNote: this also fixes\nthe login screen');
+
+      expect(result.trailers).toEqual({});
+    });
+
+    it('should keep trailers next to a BREAKING CHANGE footer', () => {
+      const result = commitSource.splitCommitMessage(
+        'feat!: Drop v1 API\n\nDetails.\n\nBREAKING CHANGE: the v1 endpoints\nare gone\nCo-authored-by: Bob <bob@example.com>'
+      );
+
+      expect(result.trailers).toEqual({
+        'breaking change': ['the v1 endpoints are gone'],
+        'co-authored-by': ['Bob <bob@example.com>']
+      });
+    });
+  });
+
+  describe('createCommitSource', () => {
+    it('should default to git', () => {
+      expect(commitSource.createCommitSource().name).toBe('git');
+    });
+
+    it('should require dependencies for github and fixture sources', () => {
+      expect(() => commitSource.createCommitSource('github')).toThrow('needs a GitHub client');
+      expect(() => commitSource.createCommitSource('fixture')).toThrow('needs a fixture path');
+    });
+
+    it('should reject unknown sources', () => {
+      expect(() => commitSource.createCommitSource('svn')).toThrow('Unknown commit source "svn"');
+    });
+  });
+
+  describe('git source', () => {
+    it('should read the tag date, falling back to the commit date', async () => {
+      execSync.mockImplementation((cmd) => {
+        if (cmd.startsWith("git tag --list 'v1.0.0' ")) return '2024-12-06T10:00:00+01:00\n';
+        if (cmd === "git log -1 --format=%cI 'abc1234'") return '2024-12-01T08:00:00+00:00\n';
+        return '';
+      });
+      const source = commitSource.createGitSource();
+
+      expect(await source.getRefDate('v1.0.0')).toBe('2024-12-06T10:00:00+01:00');
+      expect(await source.getRefDate('abc1234')).toBe('2024-12-01T08:00:00+00:00');
+      expect(execSync).toHaveBeenCalledWith(
+        `git tag --list 'v1.0.0' --format="%(taggerdate:iso-strict)%(committerdate:iso-strict)"`,
+        { encoding: 'utf-8', stdio: 'pipe' }
+      );
+    });
+
+    it('should read trailers from the body when git finds no trailer block', async () => {
+      const body = 'Details.\n\nBREAKING CHANGE: drop the v1 API\nCo-authored-by: Bob <bob@example.com>\n';
+      execSync.mockReturnValue(['abc1234', 'feat!: Drop v1 API', 'Jane Doe', 'jane@example.com', '2024-12-06T10:00:00+00:00', body, '']
+        .join('\x1f') + '\x1e');
+      const source = commitSource.createGitSource();
+
+      const [commit] = await source.getCommits('v1.0.0', 'v2.0.0');
+
+      expect(commit.trailers).toEqual({
+        'breaking change': ['drop the v1 API'],
+        'co-authored-by': ['Bob <bob@example.com>']
+      });
+    });
+
+    it('should quote refs when checking earlier commits', async () => {
+      execSync.mockReturnValue('');
+      const source = commitSource.createGitSource();
+
+      await source.hasAuthoredBefore('v1.0.0;touch pwned', 'sam@example.com');
+
+      expect(execSync).toHaveBeenCalledWith(
+        "git log 'v1.0.0;touch pwned' -1 --fixed-strings --author='<sam@example.com>' --format=%H",
+        { encoding: 'utf-8' }
+      );
+    });
+
+    it('should unshallow only shallow clones when fetching history', async () => {
+      execSync.mockImplementation(cmd => (cmd === 'git rev-parse --is-shallow-repository' ? 'true\n' : ''));
+      const source = commitSource.createGitSource();
+
+      await source.fetchHistory();
+
+      expect(execSync).toHaveBeenLastCalledWith('git fetch --tags --unshallow', { encoding: 'utf-8', stdio: 'pipe' });
+
+      execSync.mockImplementation(cmd => (cmd === 'git rev-parse --is-shallow-repository' ? 'false\n' : ''));
+      await source.fetchHistory();
+
+      expect(execSync).toHaveBeenLastCalledWith('git fetch --tags', { encoding: 'utf-8', stdio: 'pipe' });
+    });
+  });
+
+  describe('github source', () => {
+    const mockGithub = {
+      paginate: jest.fn(),
+      rest: {
+        repos: {
+          listTags: jest.fn(),
+          listCommits: jest.fn(),
+          compareCommitsWithBasehead: jest.fn(),
+          getCommit: jest.fn()
+        }
+      }
+    };
+
+    it('should list tags through the API', async () => {
+      mockGithub.paginate.mockResolvedValue([{ name: 'v1.0.0' }, { name: 'v2.0.0' }]);
+      const source = commitSource.createGitHubSource(mockGithub, mockContext);
+
+      const tags = await tagUtils.getAllTags(source);
+
+      expect(mockGithub.paginate).toHaveBeenCalledWith(mockGithub.rest.repos.listTags, {
+        owner: 'embrace-io',
+        repo: 'test-repo',
+        per_page: 100
+      });
+      expect(tags).toEqual(['v2.0.0', 'v1.0.0']);
+    });
+
+    it('should compare refs and return commits newest first', async () => {
+      mockGithub.rest.repos.compareCommitsWithBasehead.mockResolvedValue({
+        data: {
+          total_commits: 2,
+          commits: [
+            apiCommit('aaa111', '[EMBR-1] Feature: Add login'),
+            apiCommit('bbb222', '[EMBR-2] Fix: Crash\n\nCo-authored-by: Ana <ana@example.com>')
+          ]
+        }
+      });
+      const source = commitSource.createGitHubSource(mockGithub, mockContext);
+
+      const commits = await commitParser.getCommitsBetween('v1.0.0', 'v2.0.0', [], source);
+
+      expect(mockGithub.rest.repos.compareCommitsWithBasehead).toHaveBeenCalledWith({
+        owner: 'embrace-io',
+        repo: 'test-repo',
+        basehead: 'v1.0.0...v2.0.0',
+        per_page: 100,
+        page: 1
+      });
+      expect(commits.map(c => c.hash)).toEqual(['bbb222', 'aaa111']);
+      expect(commits[0]).toMatchObject({
+        message: '[EMBR-2] Fix: Crash',
+        author: { name: 'Jane Doe', email: 'jane@example.com' },
+        trailers: { 'co-authored-by': ['Ana <ana@example.com>'] }
+      });
+    });
+
+    it('should follow first parents through merge commits', async () => {
+      const withParents = (commit, parents) => ({ ...commit, parents: parents.map(sha => ({ sha })) });
+      mockGithub.rest.repos.compareCommitsWithBasehead.mockResolvedValue({
+        data: {
+          total_commits: 3,
+          commits: [
+            withParents(apiCommit('main111', 'Direct fix'), ['base000']),
+            withParents(apiCommit('side222', '[EMBR-1] Feature: Wire login'), ['base000']),
+            withParents(apiCommit('merge33', 'Merge pull request #1 from o/feature/EMBR-1'), ['main111', 'side222'])
+          ]
+        }
+      });
+      const source = commitSource.createGitHubSource(mockGithub, mockContext);
+
+      const commits = await source.getCommits('v1.0.0', 'v2.0.0', [], { firstParent: true });
+
+      expect(commits.map(c => c.hash)).toEqual(['merge33', 'main111']);
+    });
+
+    it('should keep only commits touching the given paths', async () => {
+      mockGithub.rest.repos.compareCommitsWithBasehead.mockResolvedValue({
+        data: {
+          total_commits: 2,
+          commits: [apiCommit('aaa111', 'First'), apiCommit('bbb222', 'Second')]
+        }
+      });
+      mockGithub.paginate.mockResolvedValue([{ sha: 'bbb222' }]);
+      const source = commitSource.createGitHubSource(mockGithub, mockContext);
+
+      const commits = await source.getCommits('v1.0.0', 'v2.0.0', ['android/']);
+
+      expect(mockGithub.paginate).toHaveBeenCalledWith(mockGithub.rest.repos.listCommits, expect.objectContaining({
+        sha: 'v2.0.0',
+        path: 'android/',
+        since: '2024-12-06T10:00:00Z'
+      }));
+      expect(commits.map(c => c.hash)).toEqual(['bbb222']);
+    });
+
+    it('should find the initial commit from the last page', async () => {
+      mockGithub.rest.repos.listCommits
+        .mockResolvedValueOnce({
+          headers: { link: '<https://api.github.com/repositories/1/commits?per_page=1&page=2>; rel="next", <https://api.github.com/repositories/1/commits?per_page=1&page=57>; rel="last"' },
+          data: [{ sha: 'newest' }]
+        })
+        .mockResolvedValueOnce({ headers: {}, data: [{ sha: 'initial' }] });
+      const source = commitSource.createGitHubSource(mockGithub, mockContext);
+
+      const hash = await tagUtils.getInitialCommit(source);
+
+      expect(mockGithub.rest.repos.listCommits).toHaveBeenLastCalledWith({
+        owner: 'embrace-io',
+        repo: 'test-repo',
+        per_page: 1,
+        page: 57
+      });
+      expect(hash).toBe('initial');
+    });
+
+    it('should find earlier commits by author email', async () => {
+      mockGithub.rest.repos.listCommits.mockResolvedValue({ data: [] });
+      const source = commitSource.createGitHubSource(mockGithub, mockContext);
+
+      expect(await source.hasAuthoredBefore('v1.0.0', 'sam@example.com')).toBe(false);
+      expect(mockGithub.rest.repos.listCommits).toHaveBeenCalledWith({
+        owner: 'embrace-io',
+        repo: 'test-repo',
+        sha: 'v1.0.0',
+        author: 'sam@example.com',
+        per_page: 1
+      });
+    });
+
+    it('should check ancestry by comparing refs', async () => {
+      mockGithub.rest.repos.compareCommitsWithBasehead
+        .mockResolvedValueOnce({ data: { status: 'ahead' } })
+        .mockResolvedValueOnce({ data: { status: 'diverged' } });
+      const source = commitSource.createGitHubSource(mockGithub, mockContext);
+
+      expect(await source.isAncestor('v5.3.0', 'v5.3.1')).toBe(true);
+      expect(await source.isAncestor('v5.3.1-rc.1', 'v5.3.1')).toBe(false);
+      expect(mockGithub.rest.repos.compareCommitsWithBasehead).toHaveBeenCalledWith({
+        owner: 'embrace-io',
+        repo: 'test-repo',
+        basehead: 'v5.3.0...v5.3.1',
+        per_page: 1
+      });
+    });
+
+    it('should read the tagger date of annotated tags', async () => {
+      const mockGit = {
+        getRef: jest.fn()
+          .mockResolvedValueOnce({ data: { object: { type: 'tag', sha: 'tagobject1' } } })
+          .mockResolvedValueOnce({ data: { object: { type: 'commit', sha: 'commit1' } } }),
+        getTag: jest.fn().mockResolvedValue({ data: { tagger: { date: '2024-12-06T10:00:00Z' } } })
+      };
+      mockGithub.rest.repos.getCommit.mockResolvedValue({ data: { commit: { committer: { date: '2024-12-01T08:00:00Z' } } } });
+      const source = commitSource.createGitHubSource({ ...mockGithub, rest: { ...mockGithub.rest, git: mockGit } }, mockContext);
+
+      expect(await source.getRefDate('v1.0.0')).toBe('2024-12-06T10:00:00Z');
+      expect(mockGit.getTag).toHaveBeenCalledWith({ owner: 'embrace-io', repo: 'test-repo', tag_sha: 'tagobject1' });
+      expect(await source.getRefDate('v0.9.0')).toBe('2024-12-01T08:00:00Z');
+    });
+
+    it('should check refs with the API', async () => {
+      mockGithub.rest.repos.getCommit
+        .mockResolvedValueOnce({ data: {} })
+        .mockRejectedValueOnce(new Error('Not Found'));
+      const source = commitSource.createGitHubSource(mockGithub, mockContext);
+
+      expect(await tagUtils.tagExists('v1.0.0', source)).toBe(true);
+      expect(await tagUtils.tagExists('v99.0.0', source)).toBe(false);
+    });
+  });
+
+  describe('fixture source', () => {
+    const fixture = {
+      tags: { 'v1.0.0': '1111111', 'v1.1.0': '3333333' },
+      commits: [
+        { hash: '4444444', message: '[EMBR-3] Chore: Unreleased work' },
+        { hash: '3333333', message: '[EMBR-2] Fix: Crash', files: ['android/Main.kt'] },
+        { hash: '2222222', message: '[EMBR-1] Feature: Add login', files: ['ios/App.swift'], trailers: 'Co-authored-by: Ana <ana@example.com>' },
+        { hash: '1111111', message: 'Initial commit', author: { name: 'Ana', email: 'ana@example.com' } }
+      ]
+    };
+
+    beforeEach(() => {
+      fs.readFileSync.mockReturnValue(JSON.stringify(fixture));
+    });
+
+    it('should resolve tags and commit ranges', async () => {
+      const source = commitSource.createFixtureSource('fixture.json');
+
+      const tags = await source.listTags();
+      const commits = await source.getCommits('v1.0.0', 'v1.1.0');
+
+      expect(tags).toEqual(['v1.0.0', 'v1.1.0']);
+      expect(commits.map(c => c.hash)).toEqual(['3333333', '2222222']);
+      expect(commits[1].trailers).toEqual({ 'co-authored-by': ['Ana <ana@example.com>'] });
+      expect(fs.readFileSync).toHaveBeenCalledTimes(1);
+    });
+
+    it('should filter by paths and resolve HEAD', async () => {
+      const source = commitSource.createFixtureSource('fixture.json');
+
+      const commits = await source.getCommits('v1.0.0', 'HEAD', ['android']);
+
+      expect(commits.map(c => c.hash)).toEqual(['3333333']);
+    });
+
+    it('should resolve tags against the fixture', async () => {
+      const source = commitSource.createFixtureSource('fixture.json');
+      const mockCore = { info: jest.fn() };
+
+      const result = await tagUtils.resolveTags(mockCore, 'latest', null, source);
+
+      expect(result).toEqual({ currentTag: 'v1.1.0', baseTag: 'v1.0.0', basePolicy: 'previous' });
+      expect(await tagUtils.getInitialCommit(source)).toBe('1111111');
+      expect(execSync).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown refs', async () => {
+      const source = commitSource.createFixtureSource('fixture.json');
+
+      await expect(source.getCommits('v0.9.0', 'v1.1.0')).rejects.toThrow('Unknown ref v0.9.0 in commit fixture');
+      expect(await source.refExists('v0.9.0')).toBe(false);
+    });
+
+    it('should follow listed parents for first-parent history', async () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify({
+        tags: { 'v1.0.0': 'base000' },
+        commits: [
+          { hash: 'merge33', message: 'Merge pull request #1', parents: ['main111', 'side222'] },
+          { hash: 'side222', message: 'Side work', parents: ['base000'] },
+          { hash: 'main111', message: 'Direct fix' },
+          { hash: 'base000', message: 'Initial commit' }
+        ]
+      }));
+      const source = commitSource.createFixtureSource('fixture.json');
+
+      const commits = await source.getCommits('v1.0.0', 'HEAD', [], { firstParent: true });
+
+      expect(commits.map(c => c.hash)).toEqual(['merge33', 'main111']);
+    });
+
+    it('should date tags by tag date or commit date', async () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify({
+        ...fixture,
+        tagDates: { 'v1.1.0': '2024-12-06T10:00:00Z' },
+        commits: fixture.commits.map(commit => ({ ...commit, date: `${commit.hash}-date` }))
+      }));
+      const source = commitSource.createFixtureSource('fixture.json');
+
+      expect(await source.getRefDate('v1.1.0')).toBe('2024-12-06T10:00:00Z');
+      expect(await source.getRefDate('v1.0.0')).toBe('1111111-date');
+    });
+
+    it('should check ancestry through listed parents', async () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify({
+        tags: { 'v5.3.1': 'fix4444', 'v5.3.1-rc.1': 'main333', 'v5.3.0': 'base000' },
+        commits: [
+          { hash: 'fix4444', message: 'Hotfix', parents: ['base000'] },
+          { hash: 'main333', message: 'Main work', parents: ['main111'] },
+          { hash: 'main111', message: 'More main work' },
+          { hash: 'base000', message: 'Initial commit' }
+        ]
+      }));
+      const source = commitSource.createFixtureSource('fixture.json');
+
+      expect(await source.isAncestor('v5.3.0', 'v5.3.1')).toBe(true);
+      expect(await source.isAncestor('v5.3.0', 'v5.3.1-rc.1')).toBe(true);
+      expect(await source.isAncestor('v5.3.1-rc.1', 'v5.3.1')).toBe(false);
+      await expect(source.isAncestor('v0.1.0', 'v5.3.1')).rejects.toThrow('Unknown ref v0.1.0 in commit fixture');
+    });
+
+    it('should find earlier commits by author email', async () => {
+      const source = commitSource.createFixtureSource('fixture.json');
+
+      expect(await source.hasAuthoredBefore('v1.0.0', 'ANA@example.com')).toBe(true);
+      expect(await source.hasAuthoredBefore('v1.0.0', 'sam@example.com')).toBe(false);
+    });
+
+    it('should report unreadable fixtures', async () => {
+      fs.readFileSync.mockImplementation(() => {
+        throw new Error('ENOENT');
+      });
+      const source = commitSource.createFixtureSource('missing.json');
+
+      await expect(source.listTags()).rejects.toThrow('Failed to read commit fixture missing.json: ENOENT');
+    });
+  });
+});
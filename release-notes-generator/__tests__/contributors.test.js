@@ -0,0 +1,77 @@
+const contributors = require('../src/contributors');
+
+describe('contributors', () => {
+  const mockCore = {
+    info: jest.fn(),
+    warning: jest.fn()
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseIdentity', () => {
+    it('should split name and email', () => {
+      expect(contributors.parseIdentity('Ana Dev <ana@example.com>')).toEqual({ name: 'Ana Dev', email: 'ana@example.com' });
+    });
+
+    it('should keep a bare name', () => {
+      expect(contributors.parseIdentity('Ana Dev')).toEqual({ name: 'Ana Dev', email: '' });
+    });
+  });
+
+  describe('collectContributors', () => {
+    it('should collect authors and co-authors once, sorted by name', () => {
+      const result = contributors.collectContributors([
+        {
+          author: { name: 'Zoe', email: 'zoe@example.com' },
+          trailers: { 'co-authored-by': ['Ana <ANA@example.com>', 'Bob'] }
+        },
+        { author: { name: 'Ana Dev', email: 'ana@example.com' }, trailers: {} },
+        { author: { name: 'Octo Cat', email: '583231+octocat@users.noreply.github.com' }, trailers: {} }
+      ]);
+
+      expect(result).toEqual([
+        { name: 'Ana', email: 'ANA@example.com', login: null, firstTime: false },
+        { name: 'Bob', email: '', login: null, firstTime: false },
+        { name: 'Octo Cat', email: '583231+octocat@users.noreply.github.com', login: 'octocat', firstTime: false },
+        { name: 'Zoe', email: 'zoe@example.com', login: null, firstTime: false }
+      ]);
+    });
+
+    it('should leave out bots', () => {
+      const result = contributors.collectContributors([
+        { author: { name: 'dependabot[bot]', email: '49699333+dependabot[bot]@users.noreply.github.com' }, trailers: {} },
+        { author: { name: 'Ana', email: 'ana@example.com' }, trailers: { 'co-authored-by': ['github-actions[bot] <x@example.com>'] } }
+      ]);
+
+      expect(result.map(c => c.name)).toEqual(['Ana']);
+    });
+  });
+
+  describe('markFirstTimeContributors', () => {
+    it('should mark contributors without earlier commits', async () => {
+      const source = {
+        hasAuthoredBefore: jest.fn()
+          .mockResolvedValueOnce(true)
+          .mockResolvedValueOnce(false)
+          .mockRejectedValueOnce(new Error('API error'))
+      };
+      const list = [
+        { name: 'Ana', email: 'ana@example.com', login: null, firstTime: false },
+        { name: 'Bob', email: '', login: null, firstTime: false },
+        { name: 'Cy', email: 'cy@example.com', login: null, firstTime: false },
+        { name: 'Di', email: 'di@example.com', login: null, firstTime: false }
+      ];
+
+      const count = await contributors.markFirstTimeContributors(mockCore, list, 'v1.0.0', source);
+
+      expect(count).toBe(1);
+      expect(source.hasAuthoredBefore).toHaveBeenCalledTimes(3);
+      expect(source.hasAuthoredBefore).toHaveBeenCalledWith('v1.0.0', 'ana@example.com');
+      expect(list.map(c => c.firstTime)).toEqual([false, false, true, false]);
+      expect(mockCore.warning).toHaveBeenCalledWith('Failed to check earlier commits for Di: API error');
+      expect(mockCore.info).toHaveBeenCalledWith('Found 4 contributors (1 first-time)');
+    });
+  });
+});
@@ -6,13 +6,34 @@ const mainScript = require('../src/index');
 jest.mock('child_process');
 jest.mock('fs');
 
+/**
+ * Builds git log output in the record-delimited format used by getCommitsBetween
+ * @param {Array<Object>} commits - Commits to format (hash, message and optional body, author, date, trailers)
+ * @returns {string} Raw git log output
+ */
+function gitLogOutput(commits) {
+  return commits.map(c => [
+    c.hash,
+    c.message,
+    c.authorName || 'Jane Doe',
+    c.authorEmail || 'jane@example.com',
+    c.date || '2024-12-06T10:00:00+00:00',
+    c.body || '',
+    c.trailers || ''
+  ].join('\x1f') + '\x1e').join('\n');
+}
+
 describe('Integration Test - Full Release Notes Flow', () => {
   const mockGithub = {
     rest: {
+      pulls: {
+        get: jest.fn()
+      },
       repos: {
         getReleaseByTag: jest.fn(),
         updateRelease: jest.fn(),
-        createRelease: jest.fn()
+        createRelease: jest.fn(),
+        listPullRequestsAssociatedWithCommit: jest.fn()
       }
     }
   };
@@ -40,13 +61,16 @@ describe('Integration Test - Full Release Notes Flow', () => {
       if (cmd === 'git tag') {
         return 'v2.0.0\nv1.0.0\n';
       }
+      if (cmd.startsWith("git tag --list 'v2.0.0'")) {
+        return '2024-12-06T23:30:00-08:00\n';
+      }
       if (cmd.includes('git log')) {
-        return [
-          'abc123|[EMBR-1234] Feature: Add dark mode',
-          'def456|[EMBR-5678] Feature: Add user preferences',
-          'ghi789|[EMBR-9999] Fix: Resolve authentication bug',
-          'jkl012|[EMBR-1111] Docs: Update API documentation'
-        ].join('\n');
+        return gitLogOutput([
+          { hash: 'abc123', message: '[EMBR-1234] Feature: Add dark mode' },
+          { hash: 'def456', message: '[EMBR-5678] Feature: Add user preferences' },
+          { hash: 'ghi789', message: '[EMBR-9999] Fix: Resolve authentication bug' },
+          { hash: 'jkl012', message: '[EMBR-1111] Docs: Update API documentation' }
+        ]);
       }
       return '';
     });
@@ -119,6 +143,110 @@ describe('Integration Test - Full Release Notes Flow', () => {
     });
   });
 
+  describe('Existing changelog sections', () => {
+    const config = {
+      currentTag: 'v2.0.0',
+      baseTag: 'v1.0.0',
+      includeUnmatched: false,
+      updateChangelog: true,
+      createRelease: false,
+      changelogPath: 'CHANGELOG.md',
+      additionalTypes: {}
+    };
+
+    beforeEach(() => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('# Changelog\n\n## v2.0.0\n\n- Stale entry\n\n## v1.0.0\n\n- First release\n');
+    });
+
+    it('should keep an existing section by default', async () => {
+      await mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config });
+
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
+    });
+
+    it('should fail on an unknown update mode', async () => {
+      await expect(mainScript.run({
+        github: mockGithub,
+        context: mockContext,
+        core: mockCore,
+        config: { ...config, changelogUpdateMode: 'overwrite' }
+      })).rejects.toThrow('Unknown changelog update mode "overwrite" (expected skip or replace)');
+
+      expect(mockCore.setFailed).toHaveBeenCalled();
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
+    });
+
+    it('should regenerate the section in replace mode', async () => {
+      await mainScript.run({
+        github: mockGithub,
+        context: mockContext,
+        core: mockCore,
+        config: { ...config, changelogUpdateMode: 'replace' }
+      });
+
+      const written = fs.writeFileSync.mock.calls[0][1];
+      expect(written).toContain('**EMBR-1234**: Add dark mode');
+      expect(written).not.toContain('Stale entry');
+      expect(written).toContain('## v1.0.0\n\n- First release\n');
+    });
+  });
+
+  describe('With a template', () => {
+    it('should render the changelog and release notes from the template file', async () => {
+      fs.readFileSync.mockReturnValue('## {{version}}\n\n{{#sections}}\n{{#entries}}\n- [{{heading}}] {{description}} ({{ticket}})\n{{/entries}}\n{{/sections}}\n');
+
+      await mainScript.run({
+        github: mockGithub,
+        context: mockContext,
+        core: mockCore,
+        config: {
+          currentTag: 'v2.0.0',
+          baseTag: 'v1.0.0',
+          updateChangelog: true,
+          createRelease: false,
+          changelogPath: 'CHANGELOG.md',
+          additionalTypes: {},
+          templatePath: '.github/changelog-template.md'
+        }
+      });
+
+      expect(fs.readFileSync).toHaveBeenCalledWith('.github/changelog-template.md', 'utf-8');
+      const changelog = mockCore.setOutput.mock.calls.find(call => call[0] === 'changelog')[1];
+      expect(changelog).toMatch(/^## v2\.0\.0\n\n- \[Features\] Add dark mode \(EMBR-1234\)\n/);
+      expect(mockCore.setOutput).toHaveBeenCalledWith('release_notes', changelog);
+      expect(fs.writeFileSync).toHaveBeenCalledWith('CHANGELOG.md', expect.stringContaining('- [Bug Fixes] Resolve authentication bug (EMBR-9999)'));
+    });
+
+    it('should fail when the template drops the version heading CHANGELOG.md needs', async () => {
+      await expect(mainScript.run({
+        github: mockGithub,
+        context: mockContext,
+        core: mockCore,
+        config: {
+          currentTag: 'v2.0.0',
+          baseTag: 'v1.0.0',
+          updateChangelog: true,
+          changelogPath: 'CHANGELOG.md',
+          template: '# {{version}} ({{date}})\n\n{{#sections}}{{heading}}\n{{/sections}}'
+        }
+      })).rejects.toThrow('Notes for CHANGELOG.md must start with a "## v2.0.0" heading');
+
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
+    });
+
+    it('should fail on an invalid template', async () => {
+      await expect(mainScript.run({
+        github: mockGithub,
+        context: mockContext,
+        core: mockCore,
+        config: { currentTag: 'v2.0.0', changelogPath: 'CHANGELOG.md', template: '{{#sections}}' }
+      })).rejects.toThrow('Invalid template');
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith(expect.stringContaining('Invalid template: Unclosed section {{#sections}} in template'));
+    });
+  });
+
   describe('With GitHub Release creation', () => {
     it('should create GitHub release when enabled', async () => {
       mockGithub.rest.repos.getReleaseByTag.mockRejectedValue(new Error('Not found'));
@@ -157,10 +285,36 @@ describe('Integration Test - Full Release Notes Flow', () => {
       );
     });
 
+    it('should leave hidden sections out of the release body only', async () => {
+      mockGithub.rest.repos.getReleaseByTag.mockRejectedValue(new Error('Not found'));
+      mockGithub.rest.repos.createRelease.mockResolvedValue({ data: { html_url: 'https://example.com/release' } });
+
+      const config = {
+        currentTag: 'v2.0.0',
+        baseTag: 'v1.0.0',
+        includeUnmatched: false,
+        updateChangelog: true,
+        createRelease: true,
+        changelogPath: 'CHANGELOG.md',
+        releaseDraft: false,
+        releasePrerelease: false,
+        additionalTypes: {},
+        sections: ['Bug Fixes', 'Features', { name: 'Documentation', hide_in: ['release'] }]
+      };
+
+      await mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config });
+
+      const body = mockGithub.rest.repos.createRelease.mock.calls[0][0].body;
+      expect(body).not.toContain('### Documentation');
+      expect(body.indexOf('### Bug Fixes')).toBeLessThan(body.indexOf('### Features'));
+      expect(fs.writeFileSync).toHaveBeenCalledWith('CHANGELOG.md', expect.stringContaining('### Documentation'));
+      expect(mockCore.setOutput).toHaveBeenCalledWith('release_notes', body);
+    });
+
     it('should create prerelease for RC tags', async () => {
       execSync.mockImplementation((cmd) => {
         if (cmd === 'git tag') return 'v2.0.0-rc1\nv1.0.0\n';
-        if (cmd.includes('git log')) return 'abc123|[EMBR-1] Feature: New feature\n';
+        if (cmd.includes('git log')) return gitLogOutput([{ hash: 'abc123', message: '[EMBR-1] Feature: New feature' }]);
         return '';
       });
 
@@ -196,7 +350,7 @@ describe('Integration Test - Full Release Notes Flow', () => {
       execSync.mockImplementation((cmd) => {
         if (cmd === 'git tag') return 'v2.0.0\nv1.0.0\n';
         if (cmd.includes('git log')) {
-          return 'abc123|[EMBR-1] Perf: Optimize database queries\n';
+          return gitLogOutput([{ hash: 'abc123', message: '[EMBR-1] Perf: Optimize database queries' }]);
         }
         return '';
       });
@@ -221,11 +375,129 @@ describe('Integration Test - Full Release Notes Flow', () => {
       expect(changelog).toContain('**EMBR-1**: Optimize database queries');
     });
 
+    it('should use the configured ticket pattern', async () => {
+      execSync.mockImplementation((cmd) => {
+        if (cmd === 'git tag') return 'v2.0.0\nv1.0.0\n';
+        if (cmd.includes('git log')) {
+          return gitLogOutput([
+            { hash: 'abc123', message: '[SDK-12] Feature: Add session replay' },
+            { hash: 'def456', message: '[#45] Fix: Resolve crash' }
+          ]);
+        }
+        return '';
+      });
+
+      const config = {
+        currentTag: 'v2.0.0',
+        baseTag: 'v1.0.0',
+        includeUnmatched: false,
+        updateChangelog: false,
+        createRelease: false,
+        changelogPath: 'CHANGELOG.md',
+        releaseDraft: false,
+        releasePrerelease: false,
+        additionalTypes: {},
+        ticketPattern: 'SDK,#'
+      };
+
+      await mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config });
+
+      const changelog = mockCore.setOutput.mock.calls.find(call => call[0] === 'changelog')[1];
+
+      expect(changelog).toContain('**SDK-12**: Add session replay');
+      expect(changelog).toContain('**#45**: Resolve crash');
+    });
+
+    it('should link entries to pull requests when enabled', async () => {
+      execSync.mockImplementation((cmd) => {
+        if (cmd === 'git tag') return 'v2.0.0\nv1.0.0\n';
+        if (cmd.includes('git log')) {
+          return gitLogOutput([
+            { hash: 'abc123', message: '[EMBR-1] Feature: Add dark mode (#12)' },
+            { hash: 'def456', message: '[EMBR-2] Fix: Resolve crash' }
+          ]);
+        }
+        return '';
+      });
+
+      mockGithub.rest.pulls.get.mockResolvedValue({
+        data: { number: 12, html_url: 'https://github.com/embrace-io/test-repo/pull/12', user: { login: 'octocat' }, labels: [] }
+      });
+      mockGithub.rest.repos.listPullRequestsAssociatedWithCommit.mockResolvedValue({
+        data: [{ number: 13, html_url: 'https://github.com/embrace-io/test-repo/pull/13', user: { login: 'hubot' }, merged_at: 'x', labels: [] }]
+      });
+
+      const config = {
+        currentTag: 'v2.0.0',
+        baseTag: 'v1.0.0',
+        includeUnmatched: false,
+        updateChangelog: false,
+        createRelease: false,
+        changelogPath: 'CHANGELOG.md',
+        releaseDraft: false,
+        releasePrerelease: false,
+        additionalTypes: {},
+        linkPullRequests: true
+      };
+
+      await mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config });
+
+      const changelog = mockCore.setOutput.mock.calls.find(call => call[0] === 'changelog')[1];
+
+      expect(changelog).toContain('**EMBR-1**: Add dark mode ([#12](https://github.com/embrace-io/test-repo/pull/12)) by @octocat');
+      expect(changelog).toContain('**EMBR-2**: Resolve crash ([#13](https://github.com/embrace-io/test-repo/pull/13)) by @hubot');
+    });
+
+    it('should categorise by pull request labels without linking', async () => {
+      execSync.mockImplementation((cmd) => {
+        if (cmd === 'git tag') return 'v2.0.0\nv1.0.0\n';
+        if (cmd.includes('git log')) {
+          return gitLogOutput([
+            { hash: 'abc123', message: 'Improve ANR detection (#21)' },
+            { hash: 'def456', message: '[EMBR-2] Feature: Internal dashboard (#22)' }
+          ]);
+        }
+        return '';
+      });
+
+      mockGithub.rest.pulls.get.mockImplementation(async ({ pull_number }) => ({
+        data: {
+          number: pull_number,
+          html_url: `https://github.com/embrace-io/test-repo/pull/${pull_number}`,
+          user: { login: 'octocat' },
+          labels: pull_number === 21 ? [{ name: 'sdk-android' }] : [{ name: 'skip-changelog' }]
+        }
+      }));
+
+      const config = {
+        currentTag: 'v2.0.0',
+        baseTag: 'v1.0.0',
+        includeUnmatched: false,
+        updateChangelog: false,
+        createRelease: false,
+        changelogPath: 'CHANGELOG.md',
+        releaseDraft: false,
+        releasePrerelease: false,
+        additionalTypes: {},
+        labelTypes: { 'sdk-android': 'Android' }
+      };
+
+      await mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config });
+
+      const changelog = mockCore.setOutput.mock.calls.find(call => call[0] === 'changelog')[1];
+
+      expect(changelog).toContain('### Android\n\n- Improve ANR detection (#21)\n');
+      expect(changelog).not.toContain('Internal dashboard');
+    });
+
     it('should include unmatched commits when configured', async () => {
       execSync.mockImplementation((cmd) => {
         if (cmd === 'git tag') return 'v2.0.0\nv1.0.0\n';
         if (cmd.includes('git log')) {
-          return 'abc123|[EMBR-1] Feature: Add feature\ndef456|Update dependencies\n';
+          return gitLogOutput([
+            { hash: 'abc123', message: '[EMBR-1] Feature: Add feature' },
+            { hash: 'def456', message: 'Update dependencies' }
+          ]);
         }
         return '';
       });
@@ -251,6 +523,435 @@ describe('Integration Test - Full Release Notes Flow', () => {
     });
   });
 
+  describe('Monorepo packages', () => {
+    it('should write one changelog per package', async () => {
+      execSync.mockImplementation((cmd) => {
+        if (cmd === 'git tag') return 'v2.0.0\nv1.0.0\n';
+        if (cmd.includes("-- 'release-notes-generator'")) {
+          return gitLogOutput([{ hash: 'abc123', message: '[EMBR-1] Feature: Add templates' }]);
+        }
+        if (cmd.includes("-- 'pr-title-formatter'")) {
+          return gitLogOutput([{ hash: 'def456', message: '[EMBR-2] Fix: Handle dependabot' }]);
+        }
+        return '';
+      });
+
+      const config = {
+        currentTag: 'v2.0.0',
+        baseTag: 'v1.0.0',
+        includeUnmatched: false,
+        updateChangelog: true,
+        createRelease: false,
+        changelogPath: 'CHANGELOG.md',
+        releaseDraft: false,
+        releasePrerelease: false,
+        additionalTypes: {},
+        packages: ['release-notes-generator/', 'pr-title-formatter']
+      };
+
+      await mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config });
+
+      expect(fs.writeFileSync).toHaveBeenCalledWith(
+        'release-notes-generator/CHANGELOG.md',
+        expect.stringContaining('**EMBR-1**: Add templates')
+      );
+      expect(fs.writeFileSync).toHaveBeenCalledWith(
+        'pr-title-formatter/CHANGELOG.md',
+        expect.stringContaining('**EMBR-2**: Handle dependabot')
+      );
+      expect(fs.writeFileSync.mock.calls[1][1]).not.toContain('EMBR-1');
+
+      const changelogs = JSON.parse(mockCore.setOutput.mock.calls.find(call => call[0] === 'changelogs')[1]);
+      expect(Object.keys(changelogs)).toEqual(['release-notes-generator', 'pr-title-formatter']);
+
+      const changelog = mockCore.setOutput.mock.calls.find(call => call[0] === 'changelog')[1];
+      expect(changelog).toContain('# release-notes-generator\n\n## v2.0.0');
+      expect(changelog).toContain('# pr-title-formatter\n\n## v2.0.0');
+    });
+
+    it('should filter commits by paths in single changelog mode', async () => {
+      const config = {
+        currentTag: 'v2.0.0',
+        baseTag: 'v1.0.0',
+        includeUnmatched: false,
+        updateChangelog: false,
+        createRelease: false,
+        changelogPath: 'CHANGELOG.md',
+        releaseDraft: false,
+        releasePrerelease: false,
+        additionalTypes: {},
+        paths: ['src', 'docs']
+      };
+
+      await mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config });
+
+      expect(execSync).toHaveBeenCalledWith(expect.stringContaining("-- 'src' 'docs'"), { encoding: 'utf-8' });
+      expect(mockCore.setOutput).not.toHaveBeenCalledWith('changelogs', expect.anything());
+    });
+  });
+
+  describe('Contributors', () => {
+    it('should credit contributors when enabled', async () => {
+      execSync.mockImplementation((cmd) => {
+        if (cmd === 'git tag') return 'v2.0.0\nv1.0.0\n';
+        if (cmd.includes('--author=')) {
+          // Only Jane has commits before v1.0.0
+          return cmd.includes('<jane@example.com>') ? 'aaa111\n' : '';
+        }
+        if (cmd.includes('git log')) {
+          return gitLogOutput([
+            { hash: 'abc123', message: '[EMBR-1] Feature: Add dark mode', trailers: 'Co-authored-by: Sam New <sam@example.com>' },
+            { hash: 'def456', message: '[EMBR-2] Fix: Crash' }
+          ]);
+        }
+        return '';
+      });
+
+      const config = {
+        currentTag: 'v2.0.0',
+        baseTag: 'v1.0.0',
+        includeUnmatched: false,
+        includeContributors: true,
+        updateChangelog: false,
+        createRelease: false,
+        changelogPath: 'CHANGELOG.md',
+        releaseDraft: false,
+        releasePrerelease: false,
+        additionalTypes: {}
+      };
+
+      await mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config });
+
+      expect(execSync).toHaveBeenCalledWith(
+        "git log 'v1.0.0' -1 --fixed-strings --author='<sam@example.com>' --format=%H",
+        { encoding: 'utf-8' }
+      );
+      const changelog = mockCore.setOutput.mock.calls.find(call => call[0] === 'changelog')[1];
+      expect(changelog).toContain('### Contributors\n\nWelcome to our 1 first-time contributor!\n\n- Jane Doe\n- Sam New (first contribution)\n');
+    });
+  });
+
+  describe('Merge commits', () => {
+    it('should read merge-commit workflows from first-parent history', async () => {
+      execSync.mockImplementation((cmd) => {
+        if (cmd === 'git tag') return 'v2.0.0\nv1.0.0\n';
+        if (cmd.includes('--first-parent')) {
+          return gitLogOutput([
+            { hash: 'mmm123', message: 'Merge pull request #12 from embrace-io/feature/EMBR-1-login', body: '[EMBR-1] Feature: Add login' },
+            { hash: 'nnn456', message: 'Merge pull request #13 from octocat/fix/EMBR-2-crash-on-launch' }
+          ]);
+        }
+        return '';
+      });
+
+      const config = {
+        currentTag: 'v2.0.0',
+        baseTag: 'v1.0.0',
+        includeUnmatched: false,
+        updateChangelog: false,
+        createRelease: false,
+        changelogPath: 'CHANGELOG.md',
+        releaseDraft: false,
+        releasePrerelease: false,
+        additionalTypes: {},
+        mergeCommits: 'first-parent'
+      };
+
+      await mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config });
+
+      const changelog = mockCore.setOutput.mock.calls.find(call => call[0] === 'changelog')[1];
+      expect(changelog).toContain('### Features\n\n- **EMBR-1**: Add login\n');
+      expect(changelog).toContain('### Bug Fixes\n\n- **EMBR-2**: Crash on launch\n');
+    });
+  });
+
+  describe('Namespaced tags', () => {
+    it('should resolve namespaced tags by prefix', async () => {
+      execSync.mockImplementation((cmd) => {
+        if (cmd === 'git tag') return 'android-v6.1.0\nios-v7.0.0\nandroid-v6.0.0\n';
+        if (cmd.includes('git log')) return gitLogOutput([{ hash: 'abc123', message: '[EMBR-1] Fix: Crash' }]);
+        return '';
+      });
+
+      const config = {
+        currentTag: 'latest',
+        baseTag: null,
+        tagPrefix: 'android-',
+        includeUnmatched: false,
+        updateChangelog: false,
+        createRelease: false,
+        changelogPath: 'CHANGELOG.md',
+        releaseDraft: false,
+        releasePrerelease: false,
+        additionalTypes: {}
+      };
+
+      await mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config });
+
+      expect(mockCore.setOutput).toHaveBeenCalledWith('current_tag', 'android-v6.1.0');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('base_tag', 'android-v6.0.0');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('base_tag_policy', 'previous');
+    });
+  });
+
+  describe('Next version', () => {
+    it('should recommend the next version for unreleased commits on HEAD', async () => {
+      const config = {
+        currentTag: 'HEAD',
+        baseTag: null,
+        includeUnmatched: false,
+        updateChangelog: true,
+        createRelease: true,
+        changelogPath: 'CHANGELOG.md',
+        releaseDraft: false,
+        releasePrerelease: false,
+        additionalTypes: {}
+      };
+
+      await mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config });
+
+      expect(execSync).toHaveBeenCalledWith(expect.stringContaining("git log 'v2.0.0..HEAD'"), { encoding: 'utf-8' });
+      expect(mockCore.setOutput).toHaveBeenCalledWith('base_tag', 'v2.0.0');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('next_version', 'v2.1.0');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('version_bump', 'minor');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('changelog', expect.stringContaining('## v2.1.0'));
+      expect(mockGithub.rest.repos.createRelease).not.toHaveBeenCalled();
+      expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining('Skipping GitHub Release'));
+    });
+
+    it('should not write the predicted version to CHANGELOG.md', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('# Changelog\n\n## v2.0.0\n\n- Old\n');
+
+      const config = {
+        currentTag: 'HEAD',
+        baseTag: null,
+        includeUnmatched: false,
+        updateChangelog: true,
+        createRelease: false,
+        changelogPath: 'CHANGELOG.md',
+        additionalTypes: {}
+      };
+
+      await mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config });
+
+      expect(mockCore.setOutput).toHaveBeenCalledWith('next_version', 'v2.1.0');
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
+      expect(mockCore.info).toHaveBeenCalledWith(expect.stringContaining('Skipping CHANGELOG.md: v2.1.0 is only a prediction'));
+    });
+
+    it('should apply bump rules across packages', async () => {
+      execSync.mockImplementation((cmd) => {
+        if (cmd === 'git tag') return 'v2.0.0\nv1.0.0\n';
+        if (cmd.includes("-- 'android'")) return gitLogOutput([{ hash: 'abc123', message: '[EMBR-1] Docs: Update guide' }]);
+        if (cmd.includes("-- 'ios'")) return gitLogOutput([{ hash: 'def456', message: '[EMBR-2] Fix: Crash' }]);
+        return '';
+      });
+
+      const config = {
+        currentTag: 'HEAD',
+        baseTag: null,
+        includeUnmatched: false,
+        updateChangelog: false,
+        createRelease: false,
+        changelogPath: 'CHANGELOG.md',
+        releaseDraft: false,
+        releasePrerelease: false,
+        additionalTypes: {},
+        packages: ['android', 'ios'],
+        bumpRules: { Documentation: 'none', 'Bug Fixes': 'minor' }
+      };
+
+      await mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config });
+
+      expect(mockCore.setOutput).toHaveBeenCalledWith('next_version', 'v2.1.0');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('version_bump', 'minor');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('changelog', expect.stringContaining('## v2.1.0'));
+    });
+
+    it('should not recommend a next version for an existing tag', async () => {
+      const config = {
+        currentTag: 'v2.0.0',
+        baseTag: 'v1.0.0',
+        updateChangelog: false,
+        createRelease: false,
+        changelogPath: 'CHANGELOG.md',
+        additionalTypes: {}
+      };
+
+      await mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config });
+
+      expect(mockCore.setOutput).not.toHaveBeenCalledWith('next_version', expect.anything());
+      expect(mockCore.setOutput).not.toHaveBeenCalledWith('version_bump', expect.anything());
+    });
+  });
+
+  describe('Unreleased section', () => {
+    it('should keep unreleased notes in an Unreleased section when enabled', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('# Changelog\n\n## Unreleased\n\n- Stale\n\n## v2.0.0\n*Dec 5, 2024*\n');
+
+      const config = {
+        currentTag: 'HEAD',
+        baseTag: null,
+        unreleasedSection: true,
+        includeUnmatched: false,
+        updateChangelog: true,
+        createRelease: false,
+        changelogPath: 'CHANGELOG.md',
+        releaseDraft: false,
+        releasePrerelease: false,
+        additionalTypes: {}
+      };
+
+      await mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config });
+
+      const written = fs.writeFileSync.mock.calls[0][1];
+      expect(written).toMatch(/^# Changelog\n\n## Unreleased\n\n### Features\n/);
+      expect(written).not.toContain('Stale');
+      expect(written).toContain('## v2.0.0\n');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('next_version', 'v2.1.0');
+    });
+  });
+
+  describe('Tagging', () => {
+    it('should tag HEAD with the next version and release it', async () => {
+      execSync.mockImplementation((cmd) => {
+        if (cmd === 'git tag') return 'v2.0.0\nv1.0.0\n';
+        if (cmd === "git rev-parse --verify --quiet 'v2.1.0^{commit}'") throw new Error('unknown revision');
+        if (cmd.includes('git log')) return gitLogOutput([{ hash: 'abc123', message: '[EMBR-1] Feature: Add login' }]);
+        return '';
+      });
+      mockGithub.rest.repos.getReleaseByTag.mockRejectedValue(new Error('Not found'));
+      mockGithub.rest.repos.createRelease.mockResolvedValue({ data: { html_url: 'https://github.com/release' } });
+
+      const config = {
+        currentTag: 'HEAD',
+        baseTag: null,
+        createTag: true,
+        moveMajorTag: true,
+        includeUnmatched: false,
+        updateChangelog: false,
+        createRelease: true,
+        changelogPath: 'CHANGELOG.md',
+        releaseDraft: false,
+        releasePrerelease: false,
+        additionalTypes: {}
+      };
+
+      await mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config });
+
+      expect(execSync).toHaveBeenCalledWith("git tag -a 'v2.1.0' --cleanup=verbatim -F - 'HEAD'", expect.objectContaining({
+        input: expect.stringContaining('## v2.1.0')
+      }));
+      expect(execSync).toHaveBeenCalledWith("git push -f origin 'refs/tags/v2'", expect.anything());
+      expect(mockCore.setOutput).toHaveBeenCalledWith('current_tag', 'v2.1.0');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('major_tag', 'v2');
+      expect(mockGithub.rest.repos.createRelease).toHaveBeenCalledWith(expect.objectContaining({ tag_name: 'v2.1.0' }));
+    });
+
+    it('should refuse to create a tag that already exists', async () => {
+      const config = {
+        currentTag: 'HEAD',
+        baseTag: null,
+        createTag: true,
+        tagName: 'v2.0.0',
+        includeUnmatched: false,
+        updateChangelog: false,
+        createRelease: false,
+        changelogPath: 'CHANGELOG.md',
+        releaseDraft: false,
+        releasePrerelease: false,
+        additionalTypes: {}
+      };
+
+      await expect(mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config }))
+        .rejects.toThrow('Tag v2.0.0 already exists');
+      expect(execSync).not.toHaveBeenCalledWith(expect.stringContaining('git tag -a'), expect.anything());
+    });
+
+    it('should only tag HEAD', async () => {
+      const config = {
+        currentTag: 'latest',
+        baseTag: null,
+        createTag: true,
+        includeUnmatched: false,
+        updateChangelog: false,
+        createRelease: false,
+        changelogPath: 'CHANGELOG.md',
+        releaseDraft: false,
+        releasePrerelease: false,
+        additionalTypes: {}
+      };
+
+      await expect(mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config }))
+        .rejects.toThrow('Creating a tag needs current_tag: HEAD');
+    });
+  });
+
+  describe('Release dates', () => {
+    it('should date the notes with the tag date', async () => {
+      const config = {
+        currentTag: 'v2.0.0',
+        baseTag: null,
+        dateFormat: 'iso',
+        timeZone: 'Europe/Madrid',
+        includeUnmatched: false,
+        updateChangelog: false,
+        createRelease: false,
+        changelogPath: 'CHANGELOG.md',
+        releaseDraft: false,
+        releasePrerelease: false,
+        additionalTypes: {}
+      };
+
+      await mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config });
+
+      expect(mockCore.setOutput).toHaveBeenCalledWith('changelog', expect.stringMatching(/^## v2\.0\.0\n\*2024-12-07\*\n/));
+      expect(mockCore.warning).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Backfill', () => {
+    it('should regenerate the changelog from every tag pair', async () => {
+      execSync.mockImplementation((cmd) => {
+        if (cmd === 'git tag') return 'v1.0.0\nv2.0.0\n';
+        if (cmd === 'git rev-list --max-parents=0 HEAD') return 'root000\n';
+        if (cmd.startsWith("git tag --list 'v2.0.0'")) return '2024-12-06T10:00:00Z\n';
+        if (cmd.startsWith("git tag --list 'v1.0.0'")) return '2024-06-01T10:00:00Z\n';
+        if (cmd.startsWith("git log 'v1.0.0..v2.0.0'")) return gitLogOutput([{ hash: 'bbb222', message: '[EMBR-2] Feature: Add login' }]);
+        if (cmd.startsWith("git log 'root000..v1.0.0'")) return gitLogOutput([{ hash: 'aaa111', message: '[EMBR-1] Fix: Crash' }]);
+        return '';
+      });
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('# Changelog\n\n## v1.0.0\n\nFirst public release, written by hand.\n');
+
+      const config = {
+        currentTag: 'latest',
+        baseTag: null,
+        backfill: true,
+        dateFormat: 'iso',
+        timeZone: 'UTC',
+        includeUnmatched: false,
+        updateChangelog: true,
+        createRelease: true,
+        changelogPath: 'CHANGELOG.md',
+        releaseDraft: false,
+        releasePrerelease: false,
+        additionalTypes: {}
+      };
+
+      await mainScript.run({ github: mockGithub, context: mockContext, core: mockCore, config });
+
+      const expected = '# Changelog\n\n## v2.0.0\n*2024-12-06*\n\n### Features\n\n- **EMBR-2**: Add login\n\n' +
+        '## v1.0.0\n\nFirst public release, written by hand.\n';
+      expect(fs.writeFileSync).toHaveBeenCalledWith('CHANGELOG.md', expected);
+      expect(mockCore.setOutput).toHaveBeenCalledWith('changelog', expected);
+      expect(mockGithub.rest.repos.createRelease).not.toHaveBeenCalled();
+      expect(mockCore.warning).toHaveBeenCalledWith('Skipping GitHub Release: backfill only writes the changelog');
+    });
+  });
+
   describe('Error handling', () => {
     it('should handle git command failures gracefully', async () => {
       execSync.mockImplementation(() => {
@@ -327,8 +1028,8 @@ describe('Integration Test - Full Release Notes Flow', () => {
       execSync.mockImplementation((cmd) => {
         if (cmd === 'git tag') return 'v1.0.0\n';
         if (cmd === 'git rev-list --max-parents=0 HEAD') return 'initial123\n';
-        if (cmd.includes('git log initial123..v1.0.0')) {
-          return 'abc123|[EMBR-1] Feature: Initial feature\n';
+        if (cmd.includes("git log 'initial123..v1.0.0'")) {
+          return gitLogOutput([{ hash: 'abc123', message: '[EMBR-1] Feature: Initial feature' }]);
         }
         return '';
       });
@@ -0,0 +1,145 @@
+const pullRequests = require('../src/pull-requests');
+
+describe('pull-requests', () => {
+  const mockGithub = {
+    rest: {
+      pulls: {
+        get: jest.fn()
+      },
+      repos: {
+        listPullRequestsAssociatedWithCommit: jest.fn()
+      }
+    }
+  };
+
+  const mockContext = {
+    serverUrl: 'https://github.com',
+    repo: {
+      owner: 'embrace-io',
+      repo: 'test-repo'
+    }
+  };
+
+  const mockCore = {
+    info: jest.fn(),
+    warning: jest.fn()
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('extractPullRequestNumber', () => {
+    it('should extract the squash merge suffix', () => {
+      expect(pullRequests.extractPullRequestNumber('[EMBR-1] Feature: Add login (#123)')).toBe(123);
+    });
+
+    it('should extract the merge commit PR number', () => {
+      expect(pullRequests.extractPullRequestNumber('Merge pull request #45 from octocat/fix/EMBR-1-crash')).toBe(45);
+    });
+
+    it('should return null without suffix', () => {
+      expect(pullRequests.extractPullRequestNumber('[EMBR-1] Feature: Add login')).toBeNull();
+      expect(pullRequests.extractPullRequestNumber('Fix #123 in parser')).toBeNull();
+    });
+  });
+
+  describe('findPullRequest', () => {
+    it('should fetch the PR from the subject suffix', async () => {
+      mockGithub.rest.pulls.get.mockResolvedValue({
+        data: {
+          number: 123,
+          html_url: 'https://github.com/embrace-io/test-repo/pull/123',
+          user: { login: 'octocat' },
+          labels: [{ name: 'bug' }]
+        }
+      });
+
+      const pr = await pullRequests.findPullRequest(mockGithub, mockContext, {
+        hash: 'abc123',
+        message: '[EMBR-1] Fix: Crash (#123)'
+      });
+
+      expect(mockGithub.rest.pulls.get).toHaveBeenCalledWith({
+        owner: 'embrace-io',
+        repo: 'test-repo',
+        pull_number: 123
+      });
+      expect(mockGithub.rest.repos.listPullRequestsAssociatedWithCommit).not.toHaveBeenCalled();
+      expect(pr).toEqual({
+        number: 123,
+        url: 'https://github.com/embrace-io/test-repo/pull/123',
+        author: 'octocat',
+        labels: ['bug']
+      });
+    });
+
+    it('should still link the PR when it cannot be fetched', async () => {
+      mockGithub.rest.pulls.get.mockRejectedValue(new Error('Not found'));
+
+      const pr = await pullRequests.findPullRequest(mockGithub, mockContext, {
+        hash: 'abc123',
+        message: 'Fix crash (#42)'
+      });
+
+      expect(pr).toEqual({
+        number: 42,
+        url: 'https://github.com/embrace-io/test-repo/pull/42',
+        author: null,
+        labels: []
+      });
+    });
+
+    it('should prefer the merged PR associated with the commit', async () => {
+      mockGithub.rest.repos.listPullRequestsAssociatedWithCommit.mockResolvedValue({
+        data: [
+          { number: 7, html_url: 'https://github.com/embrace-io/test-repo/pull/7', user: { login: 'a' }, merged_at: null, labels: [] },
+          { number: 8, html_url: 'https://github.com/embrace-io/test-repo/pull/8', user: { login: 'b' }, merged_at: '2024-12-01T00:00:00Z', labels: [] }
+        ]
+      });
+
+      const pr = await pullRequests.findPullRequest(mockGithub, mockContext, {
+        hash: 'abc123',
+        message: '[EMBR-1] Feature: Add login'
+      });
+
+      expect(mockGithub.rest.repos.listPullRequestsAssociatedWithCommit).toHaveBeenCalledWith({
+        owner: 'embrace-io',
+        repo: 'test-repo',
+        commit_sha: 'abc123'
+      });
+      expect(pr).toMatchObject({ number: 8, author: 'b' });
+    });
+
+    it('should return null when no PR is associated', async () => {
+      mockGithub.rest.repos.listPullRequestsAssociatedWithCommit.mockResolvedValue({ data: [] });
+
+      const pr = await pullRequests.findPullRequest(mockGithub, mockContext, { hash: 'abc123', message: 'Direct push' });
+
+      expect(pr).toBeNull();
+    });
+  });
+
+  describe('enrichCommits', () => {
+    it('should attach pull requests and warn on failures', async () => {
+      mockGithub.rest.repos.listPullRequestsAssociatedWithCommit
+        .mockResolvedValueOnce({
+          data: [{ number: 5, html_url: 'https://github.com/embrace-io/test-repo/pull/5', user: { login: 'octocat' }, merged_at: 'x', labels: [] }]
+        })
+        .mockRejectedValueOnce(new Error('API error'));
+
+      const commits = [
+        { hash: 'abc1234567', message: '[EMBR-1] Feature: Add login' },
+        { hash: 'def1234567', message: '[EMBR-2] Fix: Crash' }
+      ];
+
+      const linked = await pullRequests.enrichCommits(mockGithub, mockContext, mockCore, commits);
+
+      expect(linked).toBe(1);
+      expect(commits[0].pullRequest).toMatchObject({ number: 5, author: 'octocat' });
+      expect(commits[1].pullRequest).toBeUndefined();
+      expect(mockCore.warning).toHaveBeenCalledWith('Failed to find pull request for def1234: API error');
+      expect(mockCore.info).toHaveBeenCalledWith('Linked 1 of 2 commits to pull requests');
+    });
+  });
+});
@@ -36,55 +36,104 @@ describe('tag-utils', () => {
       expect(tagUtils.compareSemver('v1.2.3-alpha', 'v1.2.3-beta')).toBeLessThan(0);
       expect(tagUtils.compareSemver('v1.2.3-rc.2', 'v1.2.3-rc.1')).toBeGreaterThan(0);
     });
+
+    it('should compare numeric prerelease identifiers numerically', () => {
+      expect(tagUtils.compareSemver('1.0.0-rc.10', '1.0.0-rc.2')).toBeGreaterThan(0);
+      expect(tagUtils.compareSemver('1.0.0-alpha.1', '1.0.0-alpha.beta')).toBeLessThan(0);
+    });
+
+    it('should follow the SemVer 2.0 precedence example', () => {
+      const ordered = ['1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-alpha.beta', '1.0.0-beta', '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0'];
+      const shuffled = [...ordered].reverse();
+
+      expect(shuffled.sort(tagUtils.compareSemver)).toEqual(ordered);
+    });
+
+    it('should ignore build metadata', () => {
+      expect(tagUtils.compareSemver('v1.0.0+build.5', 'v1.0.0+build.1')).toBe(0);
+      expect(tagUtils.compareSemver('v1.0.0-rc.1+build.5', 'v1.0.0')).toBeLessThan(0);
+    });
+
+    it('should sort versions that are not semver below semver versions', () => {
+      expect(tagUtils.compareSemver('nightly', 'v0.0.1')).toBeLessThan(0);
+      expect(tagUtils.compareSemver('v1.0.0', 'v1.0')).toBeGreaterThan(0);
+    });
+  });
+
+  describe('parseSemver', () => {
+    it('should parse prerelease and build identifiers', () => {
+      expect(tagUtils.parseSemver('v1.2.3-rc.1+build.5')).toEqual({
+        major: 1,
+        minor: 2,
+        patch: 3,
+        prerelease: ['rc', '1'],
+        build: ['build', '5']
+      });
+    });
+
+    it('should return null for versions that are not semver', () => {
+      expect(tagUtils.parseSemver('v1.2')).toBeNull();
+      expect(tagUtils.parseSemver('latest-build')).toBeNull();
+    });
   });
 
   describe('getAllTags', () => {
-    it('should return sorted tags', () => {
+    it('should return sorted tags', async () => {
       execSync.mockReturnValue('v1.0.0\nv2.0.0\nv1.5.0\n');
 
-      const tags = tagUtils.getAllTags();
+      const tags = await tagUtils.getAllTags();
 
       expect(tags).toEqual(['v2.0.0', 'v1.5.0', 'v1.0.0']);
     });
 
-    it('should call git tag', () => {
+    it('should call git tag', async () => {
       execSync.mockReturnValue('v1.0.0\nv2.0.0');
 
-      const tags = tagUtils.getAllTags();
+      const tags = await tagUtils.getAllTags();
 
       expect(execSync).toHaveBeenCalledWith('git tag', { encoding: 'utf-8' });
     });
 
-    it('should return empty array when no tags exist', () => {
+    it('should return empty array when no tags exist', async () => {
       execSync.mockReturnValue('');
 
-      const tags = tagUtils.getAllTags();
+      const tags = await tagUtils.getAllTags();
 
       expect(tags).toEqual([]);
     });
 
-    it('should throw error when git command fails', () => {
+    it('should throw error when git command fails', async () => {
       execSync.mockImplementation(() => {
         throw new Error('git command failed');
       });
 
-      expect(() => tagUtils.getAllTags()).toThrow('Failed to get git tags');
+      await expect(tagUtils.getAllTags()).rejects.toThrow('Failed to get git tags');
+    });
+  });
+
+  describe('listVersionTags', () => {
+    it('should skip tags that are not semver', async () => {
+      execSync.mockReturnValue('v1.0.0-rc.2\nnightly\nv1.0.0-rc.10\nv1.0\n');
+
+      const result = await tagUtils.listVersionTags();
+
+      expect(result).toEqual({ tags: ['v1.0.0-rc.10', 'v1.0.0-rc.2'], skipped: ['nightly', 'v1.0'] });
     });
   });
 
   describe('getLatestTag', () => {
-    it('should return the latest tag', () => {
+    it('should return the latest tag', async () => {
       execSync.mockReturnValue('v1.0.0\nv2.0.0\nv1.5.0\n');
 
-      const latest = tagUtils.getLatestTag();
+      const latest = await tagUtils.getLatestTag();
 
       expect(latest).toBe('v2.0.0');
     });
 
-    it('should throw error when no tags exist', () => {
+    it('should throw error when no tags exist', async () => {
       execSync.mockReturnValue('');
 
-      expect(() => tagUtils.getLatestTag()).toThrow('No tags found in repository');
+      await expect(tagUtils.getLatestTag()).rejects.toThrow('No tags found in repository');
     });
   });
 
@@ -93,117 +142,401 @@ describe('tag-utils', () => {
       execSync.mockReturnValue('v3.0.0\nv2.0.0\nv1.0.0\n');
     });
 
-    it('should return the previous tag', () => {
-      const previous = tagUtils.getPreviousTag('v3.0.0');
+    it('should return the previous tag', async () => {
+      const previous = await tagUtils.getPreviousTag('v3.0.0');
 
       expect(previous).toBe('v2.0.0');
     });
 
-    it('should return null for the oldest tag', () => {
-      const previous = tagUtils.getPreviousTag('v1.0.0');
+    it('should return null for the oldest tag', async () => {
+      const previous = await tagUtils.getPreviousTag('v1.0.0');
 
       expect(previous).toBeNull();
     });
 
-    it('should throw error if tag not found', () => {
-      expect(() => tagUtils.getPreviousTag('v99.0.0')).toThrow('Tag v99.0.0 not found in repository');
+    it('should throw error if tag not found', async () => {
+      await expect(tagUtils.getPreviousTag('v99.0.0')).rejects.toThrow('Tag v99.0.0 not found in repository');
+    });
+
+    describe('ancestor mode', () => {
+      beforeEach(() => {
+        // v5.3.1 is a hotfix on release/5.3; v5.3.1-rc.1 was tagged on main and never merged back
+        execSync.mockImplementation((cmd) => {
+          if (cmd === 'git tag') return 'v5.3.1\nv5.3.1-rc.1\nv5.3.0\nv5.2.0\n';
+          if (cmd === "git merge-base --is-ancestor 'v5.3.1-rc.1' 'v5.3.1'") {
+            const error = new Error('Command failed');
+            error.status = 1;
+            throw error;
+          }
+          return '';
+        });
+      });
+
+      it('should skip lower tags that are not ancestors', async () => {
+        const previous = await tagUtils.getPreviousTag('v5.3.1', undefined, { previousTagMode: 'ancestor' });
+
+        expect(previous).toBe('v5.3.0');
+        expect(execSync).toHaveBeenCalledWith("git merge-base --is-ancestor 'v5.3.0' 'v5.3.1'", { encoding: 'utf-8', stdio: 'pipe' });
+      });
+
+      it('should compare by version alone by default', async () => {
+        expect(await tagUtils.getPreviousTag('v5.3.1')).toBe('v5.3.1-rc.1');
+      });
+
+      it('should surface git failures', async () => {
+        execSync.mockImplementation((cmd) => {
+          if (cmd === 'git tag') return 'v5.3.1\nv5.3.0\n';
+          const error = new Error('fatal: Not a valid commit name v5.3.0');
+          error.status = 128;
+          throw error;
+        });
+
+        await expect(tagUtils.getPreviousTag('v5.3.1', undefined, { previousTagMode: 'ancestor' }))
+          .rejects.toThrow('Not a valid commit name');
+      });
+
+      it('should reject unknown modes', async () => {
+        await expect(tagUtils.getPreviousTag('v5.3.1', undefined, { previousTagMode: 'nearest' }))
+          .rejects.toThrow('Unknown previous tag mode "nearest" (expected semver or ancestor)');
+      });
+    });
+  });
+
+  describe('tag filters', () => {
+    const namespacedTags = 'android-v6.1.0\nios-v6.1.0\nandroid-v6.0.0\nrn-v5.0.0\nandroid-v6.0.10\n';
+
+    beforeEach(() => {
+      execSync.mockReturnValue(namespacedTags);
+    });
+
+    it('should only consider tags with the prefix', async () => {
+      const tags = await tagUtils.getAllTags(undefined, { tagPrefix: 'android-' });
+
+      expect(tags).toEqual(['android-v6.1.0', 'android-v6.0.10', 'android-v6.0.0']);
+    });
+
+    it('should find the latest and previous tags for the prefix', async () => {
+      const filter = { tagPrefix: 'android-' };
+
+      expect(await tagUtils.getLatestTag(undefined, filter)).toBe('android-v6.1.0');
+      expect(await tagUtils.getPreviousTag('android-v6.1.0', undefined, filter)).toBe('android-v6.0.10');
+      await expect(tagUtils.getPreviousTag('ios-v6.1.0', undefined, filter))
+        .rejects.toThrow('Tag ios-v6.1.0 not found in repository matching prefix android-');
+    });
+
+    it('should compare the version group of a tag pattern', async () => {
+      execSync.mockReturnValue('sdk/android/v2.0.0\nsdk/android/v10.0.0\nsdk/ios/v11.0.0\n');
+
+      const tags = await tagUtils.getAllTags(undefined, { tagPattern: '/^sdk\\/android\\/(?<version>v.+)$/' });
+
+      expect(tags).toEqual(['sdk/android/v10.0.0', 'sdk/android/v2.0.0']);
+    });
+
+    it('should report when no tag matches', async () => {
+      await expect(tagUtils.getLatestTag(undefined, { tagPrefix: 'flutter-' }))
+        .rejects.toThrow('No tags found in repository matching prefix flutter-');
+    });
+
+    it('should reject invalid tag patterns', async () => {
+      await expect(tagUtils.getAllTags(undefined, { tagPattern: '([' })).rejects.toThrow('Invalid tag pattern "(["');
+    });
+
+    it('should strip the prefix from versions', () => {
+      expect(tagUtils.getTagVersion('android-v6.1.0', { tagPrefix: 'android-' })).toBe('v6.1.0');
+      expect(tagUtils.getTagVersion('v6.1.0')).toBe('v6.1.0');
+      expect(tagUtils.matchesTagFilter('ios-v6.1.0', { tagPrefix: 'android-' })).toBe(false);
     });
   });
 
   describe('getInitialCommit', () => {
-    it('should return the initial commit hash', () => {
+    it('should return the initial commit hash', async () => {
       execSync.mockReturnValue('abc123def456\n');
 
-      const hash = tagUtils.getInitialCommit();
+      const hash = await tagUtils.getInitialCommit();
 
       expect(hash).toBe('abc123def456');
       expect(execSync).toHaveBeenCalledWith('git rev-list --max-parents=0 HEAD', { encoding: 'utf-8' });
     });
 
-    it('should throw error when git command fails', () => {
+    it('should throw error when git command fails', async () => {
       execSync.mockImplementation(() => {
         throw new Error('git command failed');
       });
 
-      expect(() => tagUtils.getInitialCommit()).toThrow('Failed to get initial commit');
+      await expect(tagUtils.getInitialCommit()).rejects.toThrow('Failed to get initial commit');
     });
   });
 
   describe('resolveTags', () => {
     const mockCore = {
-      info: jest.fn()
+      info: jest.fn(),
+      warning: jest.fn()
     };
 
     beforeEach(() => {
       mockCore.info.mockClear();
+      mockCore.warning.mockClear();
     });
 
-    it('should use latest tag when current is "latest"', () => {
+    it('should use latest tag when current is "latest"', async () => {
       execSync.mockReturnValue('v2.0.0\nv1.0.0\n');
 
-      const result = tagUtils.resolveTags(mockCore, 'latest', null);
+      const result = await tagUtils.resolveTags(mockCore, 'latest', null);
 
       expect(result.currentTag).toBe('v2.0.0');
       expect(result.baseTag).toBe('v1.0.0');
       expect(mockCore.info).toHaveBeenCalledWith('Using latest tag: v2.0.0');
     });
 
-    it('should use provided current tag', () => {
+    it('should use provided current tag', async () => {
       execSync.mockReturnValue('v2.0.0\nv1.0.0\n');
 
-      const result = tagUtils.resolveTags(mockCore, 'v2.0.0', null);
+      const result = await tagUtils.resolveTags(mockCore, 'v2.0.0', null);
 
       expect(result.currentTag).toBe('v2.0.0');
       expect(mockCore.info).toHaveBeenCalledWith('Using provided current tag: v2.0.0');
     });
 
-    it('should auto-detect previous tag when base tag not provided', () => {
+    it('should auto-detect previous tag when base tag not provided', async () => {
       execSync.mockReturnValue('v2.0.0\nv1.0.0\n');
 
-      const result = tagUtils.resolveTags(mockCore, 'v2.0.0', null);
+      const result = await tagUtils.resolveTags(mockCore, 'v2.0.0', null);
 
       expect(result.baseTag).toBe('v1.0.0');
     });
 
-    it('should use initial commit for first tag', () => {
+    it('should use initial commit for first tag', async () => {
       execSync.mockImplementation((cmd) => {
         if (cmd === 'git tag') return 'v1.0.0\n';
         if (cmd === 'git rev-list --max-parents=0 HEAD') return 'abc123\n';
         return '';
       });
 
-      const result = tagUtils.resolveTags(mockCore, 'v1.0.0', null);
+      const result = await tagUtils.resolveTags(mockCore, 'v1.0.0', null);
 
       expect(result.baseTag).toBe('abc123');
       expect(mockCore.info).toHaveBeenCalledWith(expect.stringContaining('first tag'));
     });
 
-    it('should use provided base tag', () => {
+    it('should use provided base tag', async () => {
       execSync.mockReturnValue('v2.0.0\nv1.0.0\n');
 
-      const result = tagUtils.resolveTags(mockCore, 'v2.0.0', 'v1.0.0');
+      const result = await tagUtils.resolveTags(mockCore, 'v2.0.0', 'v1.0.0');
 
       expect(result.baseTag).toBe('v1.0.0');
       expect(mockCore.info).toHaveBeenCalledWith('Using provided base tag: v1.0.0');
     });
+
+    it('should report skipped tags and order release candidates past rc.9', async () => {
+      execSync.mockReturnValue('v6.2.0-rc.9\nv6.2.0-rc.10\nrelease-candidate\nv6.1.0\n');
+
+      const result = await tagUtils.resolveTags(mockCore, 'latest', null);
+
+      expect(result).toEqual({ currentTag: 'v6.2.0-rc.10', baseTag: 'v6.2.0-rc.9', basePolicy: 'previous' });
+      expect(mockCore.warning).toHaveBeenCalledWith('Skipping 1 tags that are not semver versions: release-candidate');
+    });
+
+    describe('base tag policies', () => {
+      beforeEach(() => {
+        execSync.mockImplementation((cmd) => {
+          if (cmd === 'git tag') return 'v6.2.0\nv6.2.0-rc.3\nv6.2.0-rc.2\nv6.1.0\nv6.3.0-rc.1\n';
+          if (cmd === 'git rev-list --max-parents=0 HEAD') return 'abc123\n';
+          return '';
+        });
+      });
+
+      it('should compare against the previous tag by default', async () => {
+        const result = await tagUtils.resolveTags(mockCore, 'v6.2.0', null);
+
+        expect(result).toEqual({ currentTag: 'v6.2.0', baseTag: 'v6.2.0-rc.3', basePolicy: 'previous' });
+      });
+
+      it('should compare stable releases against the previous stable release', async () => {
+        const stable = await tagUtils.resolveTags(mockCore, 'v6.2.0', null, undefined, { basePolicy: 'stable' });
+        const prerelease = await tagUtils.resolveTags(mockCore, 'v6.2.0-rc.3', null, undefined, { basePolicy: 'stable' });
+
+        expect(stable).toEqual({ currentTag: 'v6.2.0', baseTag: 'v6.1.0', basePolicy: 'previous-stable' });
+        expect(prerelease).toEqual({ currentTag: 'v6.2.0-rc.3', baseTag: 'v6.2.0-rc.2', basePolicy: 'previous' });
+        expect(mockCore.info).toHaveBeenCalledWith('Automatically detected previous stable tag: v6.1.0');
+      });
+
+      it('should skip prereleases entirely', async () => {
+        const result = await tagUtils.resolveTags(mockCore, 'latest', null, undefined, { basePolicy: 'skip-prereleases' });
+
+        expect(result).toEqual({ currentTag: 'v6.2.0', baseTag: 'v6.1.0', basePolicy: 'previous-stable' });
+      });
+
+      it('should fall back to the initial commit without an earlier stable release', async () => {
+        const result = await tagUtils.resolveTags(mockCore, 'v6.1.0', null, undefined, { basePolicy: 'stable' });
+
+        expect(result).toEqual({ currentTag: 'v6.1.0', baseTag: 'abc123', basePolicy: 'initial-commit' });
+      });
+
+      it('should report a provided base tag', async () => {
+        const result = await tagUtils.resolveTags(mockCore, 'v6.2.0', 'v6.0.0', undefined, { basePolicy: 'stable' });
+
+        expect(result.basePolicy).toBe('provided');
+      });
+
+      it('should only consider reachable tags in ancestor mode', async () => {
+        execSync.mockImplementation((cmd) => {
+          if (cmd === 'git tag') return 'v6.2.0\nv6.2.0-rc.3\nv6.1.0\n';
+          if (cmd.startsWith("git merge-base --is-ancestor 'v6.2.0-rc.3' ")) {
+            const error = new Error('Command failed');
+            error.status = 1;
+            throw error;
+          }
+          return '';
+        });
+
+        const result = await tagUtils.resolveTags(mockCore, 'v6.2.0', null, undefined, { previousTagMode: 'ancestor' });
+
+        expect(result).toEqual({ currentTag: 'v6.2.0', baseTag: 'v6.1.0', basePolicy: 'previous' });
+        expect(mockCore.info).toHaveBeenCalledWith('Only considering tags reachable from v6.2.0');
+      });
+
+      it('should reject unknown policies', async () => {
+        await expect(tagUtils.resolveTags(mockCore, 'v6.2.0', null, undefined, { basePolicy: 'newest' }))
+          .rejects.toThrow('Unknown base tag policy "newest"');
+      });
+    });
+
+    it('should compare HEAD against the latest tag', async () => {
+      execSync.mockReturnValue('v1.0.0\nv1.1.0-rc.1\nv1.0.1\n');
+
+      const unreleased = await tagUtils.resolveTags(mockCore, 'HEAD', null);
+      const unreleasedStable = await tagUtils.resolveTags(mockCore, 'HEAD', null, undefined, { basePolicy: 'skip-prereleases' });
+
+      expect(unreleased).toEqual({ currentTag: 'HEAD', baseTag: 'v1.1.0-rc.1', basePolicy: 'previous' });
+      expect(unreleasedStable).toEqual({ currentTag: 'HEAD', baseTag: 'v1.0.1', basePolicy: 'previous-stable' });
+      expect(mockCore.info).toHaveBeenCalledWith('Using unreleased commits on HEAD');
+    });
+
+    describe('ref validation', () => {
+      /**
+       * Mocks a checkout with the given tags, where only those tags resolve
+       */
+      function mockCheckout(tags, { shallow = false } = {}) {
+        execSync.mockImplementation((cmd) => {
+          if (cmd === 'git tag') return tags.join('\n');
+          if (cmd === 'git rev-parse --is-shallow-repository') return `${shallow}\n`;
+          if (cmd.startsWith('git rev-parse --verify ')) {
+            if (!tags.some(tag => cmd.endsWith(` '${tag}^{commit}'`))) throw new Error('unknown revision');
+            return 'abc123\n';
+          }
+          return '';
+        });
+      }
+
+      it('should suggest the closest tags for a typo', async () => {
+        mockCheckout(['v1.2.3', 'v1.3.0', 'v0.9.0', 'android-v1.2.3']);
+
+        await expect(tagUtils.resolveTags(mockCore, 'v1.2.4', null))
+          .rejects.toThrow(/^Current tag v1\.2\.4 not found\. Did you mean v1\.2\.3 or v1\.3\.0\?$/);
+      });
+
+      it('should validate the base tag', async () => {
+        mockCheckout(['v2.0.0', 'v1.0.0']);
+
+        await expect(tagUtils.resolveTags(mockCore, 'v2.0.0', 'v1.0'))
+          .rejects.toThrow('Base tag v1.0 not found. Did you mean v1.0.0?');
+      });
+
+      it('should point out shallow clones and missing tags', async () => {
+        mockCheckout(['v2.0.0'], { shallow: true });
+        await expect(tagUtils.resolveTags(mockCore, 'v2.0.0', 'release-1'))
+          .rejects.toThrow('Base tag release-1 not found This is a shallow clone, so history and tags may be missing');
+
+        mockCheckout([]);
+        await expect(tagUtils.resolveTags(mockCore, 'v2.0.0', null))
+          .rejects.toThrow('Current tag v2.0.0 not found No tags have been fetched: use fetch-depth: 0');
+      });
+
+      it('should fetch the missing history when enabled', async () => {
+        mockCheckout([], { shallow: true });
+        const shallowCheckout = execSync.getMockImplementation();
+        execSync.mockImplementation((cmd) => {
+          if (cmd === 'git fetch --tags --unshallow') {
+            mockCheckout(['v2.0.0', 'v1.0.0']);
+            return '';
+          }
+          return shallowCheckout(cmd);
+        });
+
+        const result = await tagUtils.resolveTags(mockCore, 'v2.0.0', null, undefined, { fetchMissing: true });
+
+        expect(result).toEqual({ currentTag: 'v2.0.0', baseTag: 'v1.0.0', basePolicy: 'previous' });
+        expect(execSync).toHaveBeenCalledWith('git fetch --tags --unshallow', { encoding: 'utf-8', stdio: 'pipe' });
+        expect(mockCore.info).toHaveBeenCalledWith('Fetching tags and history to find v2.0.0');
+      });
+
+      it('should not check refs that are resolved automatically', async () => {
+        mockCheckout(['v2.0.0', 'v1.0.0']);
+
+        await tagUtils.resolveTags(mockCore, 'HEAD', null);
+
+        expect(execSync).not.toHaveBeenCalledWith(expect.stringContaining("'HEAD^{commit}'"), expect.anything());
+      });
+    });
+
+    it('should reject a current tag that is not semver', async () => {
+      execSync.mockReturnValue('v1.0.0\nnightly\n');
+
+      await expect(tagUtils.resolveTags(mockCore, 'nightly', null)).rejects.toThrow('Tag nightly is not a semver version');
+    });
+  });
+
+  describe('resolveAllTags', () => {
+    const mockCore = {
+      info: jest.fn(),
+      warning: jest.fn()
+    };
+
+    beforeEach(() => {
+      execSync.mockImplementation((cmd) => {
+        if (cmd === 'git tag') return 'v1.0.0\nv1.1.0-rc.1\nv1.1.0\nnightly\n';
+        if (cmd === 'git rev-list --max-parents=0 HEAD') return 'abc123\n';
+        return '';
+      });
+    });
+
+    it('should pair every tag with the one before it', async () => {
+      const result = await tagUtils.resolveAllTags(mockCore);
+
+      expect(result).toEqual([
+        { currentTag: 'v1.1.0', baseTag: 'v1.1.0-rc.1', basePolicy: 'previous' },
+        { currentTag: 'v1.1.0-rc.1', baseTag: 'v1.0.0', basePolicy: 'previous' },
+        { currentTag: 'v1.0.0', baseTag: 'abc123', basePolicy: 'initial-commit' }
+      ]);
+      expect(mockCore.warning).toHaveBeenCalledWith('Skipping 1 tags that are not semver versions: nightly');
+    });
+
+    it('should leave prereleases out when skipping them', async () => {
+      const result = await tagUtils.resolveAllTags(mockCore, undefined, { basePolicy: 'skip-prereleases' });
+
+      expect(result.map(({ currentTag, baseTag }) => [currentTag, baseTag])).toEqual([
+        ['v1.1.0', 'v1.0.0'],
+        ['v1.0.0', 'abc123']
+      ]);
+    });
   });
 
   describe('tagExists', () => {
-    it('should return true when tag exists', () => {
+    it('should return true when tag exists', async () => {
       execSync.mockReturnValue('abc123\n');
 
-      const exists = tagUtils.tagExists('v1.0.0');
+      const exists = await tagUtils.tagExists('v1.0.0');
 
       expect(exists).toBe(true);
-      expect(execSync).toHaveBeenCalledWith('git rev-parse v1.0.0', { encoding: 'utf-8', stdio: 'pipe' });
+      expect(execSync).toHaveBeenCalledWith("git rev-parse --verify --quiet 'v1.0.0^{commit}'", { encoding: 'utf-8', stdio: 'pipe' });
     });
 
-    it('should return false when tag does not exist', () => {
+    it('should return false when tag does not exist', async () => {
       execSync.mockImplementation(() => {
         throw new Error('not found');
       });
 
-      const exists = tagUtils.tagExists('v99.0.0');
+      const exists = await tagUtils.tagExists('v99.0.0');
 
       expect(exists).toBe(false);
     });
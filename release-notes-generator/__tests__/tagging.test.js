@@ -0,0 +1,146 @@
+const { execSync } = require('child_process');
+const tagging = require('../src/tagging');
+
+// Mock child_process
+jest.mock('child_process');
+
+describe('tagging', () => {
+  const mockContext = {
+    sha: 'abc1234def',
+    repo: {
+      owner: 'embrace-io',
+      repo: 'test-repo'
+    }
+  };
+
+  const mockCore = {
+    info: jest.fn()
+  };
+
+  const mockGithub = {
+    rest: {
+      git: {
+        createTag: jest.fn(),
+        createRef: jest.fn(),
+        updateRef: jest.fn()
+      }
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getMajorTag', () => {
+    it('should keep the prefix and the v', () => {
+      expect(tagging.getMajorTag('v1.2.3')).toBe('v1');
+      expect(tagging.getMajorTag('2.0.0')).toBe('2');
+      expect(tagging.getMajorTag('android-v6.1.0', { tagPrefix: 'android-' })).toBe('android-v6');
+    });
+
+    it('should not move the major tag for prereleases', () => {
+      expect(tagging.getMajorTag('v2.0.0-rc.1')).toBeNull();
+    });
+  });
+
+  describe('createReleaseTag', () => {
+    it('should create and push an annotated tag and the major tag with git', async () => {
+      const result = await tagging.createReleaseTag(mockGithub, mockContext, mockCore, 'v1.2.3', '## v1.2.3\n', {
+        moveMajorTag: true
+      });
+
+      expect(result).toEqual({ tag: 'v1.2.3', majorTag: 'v1' });
+      expect(execSync).toHaveBeenCalledWith("git tag -a 'v1.2.3' --cleanup=verbatim -F - 'HEAD'", expect.objectContaining({
+        input: '## v1.2.3\n',
+        env: expect.objectContaining({ GIT_COMMITTER_NAME: 'github-actions[bot]' })
+      }));
+      expect(execSync.mock.calls.slice(1).map(call => call[0])).toEqual([
+        "git push origin 'refs/tags/v1.2.3'",
+        "git tag -f 'v1' 'HEAD'",
+        "git push -f origin 'refs/tags/v1'"
+      ]);
+      expect(mockCore.info).toHaveBeenCalledWith('Pushed tag v1.2.3 and v1');
+    });
+
+    it('should tag prereleases without moving the major tag', async () => {
+      const result = await tagging.createReleaseTag(mockGithub, mockContext, mockCore, 'v2.0.0-rc.1', 'notes', {
+        moveMajorTag: true
+      });
+
+      expect(result).toEqual({ tag: 'v2.0.0-rc.1', majorTag: null });
+      expect(execSync).toHaveBeenCalledTimes(2);
+      expect(mockCore.info).toHaveBeenCalledWith('Not moving the major tag for prerelease v2.0.0-rc.1');
+    });
+
+    it('should create tags through the refs API', async () => {
+      mockGithub.rest.git.createTag.mockResolvedValue({ data: { sha: 'tagobject1' } });
+      mockGithub.rest.git.updateRef.mockRejectedValue(new Error('Reference does not exist'));
+
+      await tagging.createReleaseTag(mockGithub, mockContext, mockCore, 'v1.2.3', 'notes', {
+        method: 'api',
+        moveMajorTag: true
+      });
+
+      expect(mockGithub.rest.git.createTag).toHaveBeenCalledWith(expect.objectContaining({
+        owner: 'embrace-io',
+        repo: 'test-repo',
+        tag: 'v1.2.3',
+        message: 'notes',
+        object: 'abc1234def',
+        type: 'commit'
+      }));
+      expect(mockGithub.rest.git.createRef).toHaveBeenCalledWith({
+        owner: 'embrace-io',
+        repo: 'test-repo',
+        ref: 'refs/tags/v1.2.3',
+        sha: 'tagobject1'
+      });
+      expect(mockGithub.rest.git.updateRef).toHaveBeenCalledWith({
+        owner: 'embrace-io',
+        repo: 'test-repo',
+        ref: 'tags/v1',
+        sha: 'abc1234def',
+        force: true
+      });
+      expect(mockGithub.rest.git.createRef).toHaveBeenLastCalledWith({
+        owner: 'embrace-io',
+        repo: 'test-repo',
+        ref: 'refs/tags/v1',
+        sha: 'abc1234def'
+      });
+      expect(execSync).not.toHaveBeenCalled();
+    });
+
+    it('should only log in a dry run', async () => {
+      await tagging.createReleaseTag(mockGithub, mockContext, mockCore, 'v1.2.3', 'notes', {
+        moveMajorTag: true,
+        dryRun: true
+      });
+
+      expect(execSync).not.toHaveBeenCalled();
+      expect(mockCore.info).toHaveBeenCalledWith('Dry run: would push annotated tag v1.2.3 and v1 at HEAD using git');
+    });
+
+    it('should reject tags that are not semver', async () => {
+      await expect(tagging.createReleaseTag(mockGithub, mockContext, mockCore, 'release-1', 'notes'))
+        .rejects.toThrow('Tag release-1 is not a semver version');
+    });
+
+    it('should reject unknown push methods', async () => {
+      await expect(tagging.createReleaseTag(mockGithub, mockContext, mockCore, 'v1.2.3', 'notes', { method: 'ssh' }))
+        .rejects.toThrow('Unknown tag push method "ssh" (expected git or api)');
+    });
+
+    it('should wrap push failures', async () => {
+      execSync.mockImplementation((cmd) => {
+        if (cmd.startsWith('git push')) {
+          throw new Error('Permission denied');
+        }
+        return '';
+      });
+
+      await expect(tagging.createReleaseTag(mockGithub, mockContext, mockCore, 'v1.2.3', 'notes'))
+        .rejects.toThrow('Failed to create tag v1.2.3: Permission denied');
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const template = require('../src/template');
+
+// Mock fs module
+jest.mock('fs');
+
+describe('template', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('renderTemplate', () => {
+    it('should fill in placeholders', () => {
+      expect(template.renderTemplate('# {{ version }} ({{date}})', { version: 'v1.0.0', date: '2024-12-06' }))
+        .toBe('# v1.0.0 (2024-12-06)');
+    });
+
+    it('should render missing and false fields as empty', () => {
+      expect(template.renderTemplate('[{{missing}}][{{off}}][{{zero}}]', { off: false, zero: 0 })).toBe('[][][0]');
+    });
+
+    it('should repeat sections for each item of a list', () => {
+      const view = { entries: [{ ticket: 'EMBR-1' }, { ticket: 'EMBR-2' }] };
+
+      expect(template.renderTemplate('{{#entries}}<{{ticket}}>{{/entries}}', view)).toBe('<EMBR-1><EMBR-2>');
+    });
+
+    it('should render sections once for set fields and skip empty ones', () => {
+      const text = '{{#scope}}**{{scope}}**: {{/scope}}{{description}}';
+
+      expect(template.renderTemplate(text, { scope: 'android', description: 'Add X' })).toBe('**android**: Add X');
+      expect(template.renderTemplate(text, { scope: '', description: 'Add X' })).toBe('Add X');
+    });
+
+    it('should render inverted sections for empty fields', () => {
+      const text = '{{#entries}}- {{.}}\n{{/entries}}{{^entries}}Nothing{{/entries}}';
+
+      expect(template.renderTemplate(text, { entries: [] })).toBe('Nothing');
+      expect(template.renderTemplate(text, { entries: ['a', 'b'] })).toBe('- a\n- b\n');
+    });
+
+    it('should look up outer and nested fields inside loops', () => {
+      const view = { version: 'v1.0.0', unmatched: { heading: 'Other', entries: [{ hash: 'abc' }] } };
+
+      expect(template.renderTemplate('{{unmatched.heading}}:{{#unmatched.entries}} {{version}}@{{hash}}{{/unmatched.entries}}', view))
+        .toBe('Other: v1.0.0@abc');
+    });
+
+    it('should drop lines holding only section tags', () => {
+      const text = '## {{version}}\n\n{{#entries}}\n- {{ticket}}\n{{/entries}}\n\nEnd\n';
+
+      expect(template.renderTemplate(text, { version: 'v1.0.0', entries: [{ ticket: 'A' }, { ticket: 'B' }] }))
+        .toBe('## v1.0.0\n\n- A\n- B\n\nEnd\n');
+    });
+  });
+
+  describe('parseTemplate', () => {
+    it('should reject unclosed sections', () => {
+      expect(() => template.parseTemplate('{{#entries}}- {{ticket}}')).toThrow('Unclosed section {{#entries}} in template');
+    });
+
+    it('should reject mismatched closing tags', () => {
+      expect(() => template.parseTemplate('{{#sections}}{{#entries}}{{/sections}}{{/entries}}'))
+        .toThrow('Unexpected {{/sections}} in template');
+    });
+  });
+
+  describe('loadTemplate', () => {
+    it('should return null without a template', () => {
+      expect(template.loadTemplate({ template: '' })).toBeNull();
+    });
+
+    it('should prefer the template file over the inline template', () => {
+      fs.readFileSync.mockReturnValue('## {{version}}\n');
+
+      expect(template.loadTemplate({ template: 'inline', templatePath: '.github/changelog.md' })).toBe('## {{version}}\n');
+      expect(fs.readFileSync).toHaveBeenCalledWith('.github/changelog.md', 'utf-8');
+    });
+
+    it('should report missing template files', () => {
+      fs.readFileSync.mockImplementation(() => {
+        throw new Error('ENOENT: no such file or directory');
+      });
+
+      expect(() => template.loadTemplate({ templatePath: 'missing.md' }))
+        .toThrow('Failed to read template missing.md: ENOENT: no such file or directory');
+    });
+
+    it('should report invalid templates', () => {
+      expect(() => template.loadTemplate({ template: '{{#sections}}' }))
+        .toThrow('Invalid template: Unclosed section {{#sections}} in template');
+    });
+  });
+});
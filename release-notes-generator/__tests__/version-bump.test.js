@@ -0,0 +1,81 @@
+const versionBump = require('../src/version-bump');
+
+describe('version-bump', () => {
+  /**
+   * Builds grouped commits with one entry per listed group
+   */
+  function grouped(groupNames, { breaking = 0, unmatched = 0 } = {}) {
+    const groups = {};
+    for (const name of groupNames) {
+      groups[name] = [{ ticket: 'EMBR-1', type: 'x', description: 'Change', hash: 'abc1234' }];
+    }
+    return {
+      groups,
+      breaking: Array(breaking).fill({ ticket: 'EMBR-2', type: 'feat', description: 'Drop API', hash: 'def5678' }),
+      unmatched: Array(unmatched).fill({ message: 'WIP', hash: 'fff0000' })
+    };
+  }
+
+  describe('determineBump', () => {
+    it('should follow the default rules', () => {
+      expect(versionBump.determineBump(grouped(['Features', 'Bug Fixes'], { breaking: 1 }))).toBe('major');
+      expect(versionBump.determineBump(grouped(['Features', 'Bug Fixes']))).toBe('minor');
+      expect(versionBump.determineBump(grouped(['Chores']))).toBe('patch');
+      expect(versionBump.determineBump(grouped([], { unmatched: 1 }))).toBe('patch');
+      expect(versionBump.determineBump(grouped([]))).toBe('none');
+    });
+
+    it('should apply configured rules', () => {
+      const rules = { Documentation: 'none', 'Bug Fixes': 'minor', 'Breaking Changes': 'minor' };
+
+      expect(versionBump.determineBump(grouped(['Documentation']), rules)).toBe('none');
+      expect(versionBump.determineBump(grouped(['Documentation', 'Bug Fixes']), rules)).toBe('minor');
+      expect(versionBump.determineBump(grouped([], { breaking: 1 }), rules)).toBe('minor');
+    });
+
+    it('should reject unknown levels', () => {
+      expect(() => versionBump.determineBump(grouped([]), { Features: 'huge' }))
+        .toThrow('Unknown bump level "huge" for Features (expected major, minor, patch, none)');
+    });
+  });
+
+  describe('bumpVersion', () => {
+    it('should bump stable versions', () => {
+      expect(versionBump.bumpVersion('v1.2.3', 'major')).toBe('v2.0.0');
+      expect(versionBump.bumpVersion('v1.2.3', 'minor')).toBe('v1.3.0');
+      expect(versionBump.bumpVersion('1.2.3', 'patch')).toBe('1.2.4');
+      expect(versionBump.bumpVersion('v1.2.3+build.5', 'none')).toBe('v1.2.3');
+    });
+
+    it('should release prereleases at their own version when that covers the bump', () => {
+      expect(versionBump.bumpVersion('v7.0.0-rc.2', 'minor')).toBe('v7.0.0');
+      expect(versionBump.bumpVersion('v7.1.0-rc.2', 'major')).toBe('v8.0.0');
+      expect(versionBump.bumpVersion('v7.1.1-rc.2', 'minor')).toBe('v7.2.0');
+      expect(versionBump.bumpVersion('v7.1.1-rc.2', 'patch')).toBe('v7.1.1');
+      expect(versionBump.bumpVersion('v7.1.1-rc.2', 'none')).toBe('v7.1.1-rc.2');
+    });
+
+    it('should reject versions that are not semver', () => {
+      expect(() => versionBump.bumpVersion('nightly', 'patch')).toThrow('Version nightly is not a semver version');
+    });
+  });
+
+  describe('getNextVersion', () => {
+    it('should keep the format of the base tag', () => {
+      expect(versionBump.getNextVersion('android-v6.1.4', 'minor', { tagPrefix: 'android-' })).toBe('android-v6.2.0');
+      expect(versionBump.getNextVersion('sdk/1.0.0', 'patch', { tagPattern: '^sdk/(?<version>.+)$' })).toBe('sdk/1.0.1');
+    });
+
+    it('should start from v0.0.0 without a semver base', () => {
+      expect(versionBump.getNextVersion('abc1234', 'minor')).toBe('v0.1.0');
+      expect(versionBump.getNextVersion('abc1234', 'major', { tagPrefix: 'ios-' })).toBe('ios-v1.0.0');
+    });
+  });
+
+  describe('maxBump', () => {
+    it('should pick the larger level', () => {
+      expect(['none', 'patch', 'minor'].reduce(versionBump.maxBump, 'none')).toBe('minor');
+      expect(versionBump.maxBump('major', 'patch')).toBe('major');
+    });
+  });
+});
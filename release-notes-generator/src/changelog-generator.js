@@ -1,21 +1,238 @@
 const fs = require('fs');
 const path = require('path');
+const { compareSemver, getTagVersion, parseSemver } = require('./tag-utils');
+const { renderTemplate } = require('./template');
 
 /**
  * @typedef {import('./commit-parser').GroupedCommits} GroupedCommits
  */
 
 /**
- * Formats the current date as "Mon DD, YYYY"
+ * @typedef {Object} ChangelogSection
+ * @property {string} version - Version from the heading (e.g. 'v1.2.0' for "## v1.2.0" or "## [1.2.0] - 2024-12-06")
+ * @property {string} content - The section markdown, heading included
+ */
+
+/**
+ * @typedef {Object} SectionConfig
+ * @property {string} name - Group name (e.g. 'Chores'), or 'Breaking Changes', 'Other' or 'Contributors'
+ * @property {string} [heading] - Heading to render instead of the name
+ * @property {string} [emoji] - Emoji shown before the heading
+ * @property {string[]} hideIn - Outputs the section is left out of ('changelog' and/or 'release')
+ */
+
+/**
+ * Outputs a section can be hidden from: the CHANGELOG.md file and the GitHub Release body
+ */
+const SECTION_OUTPUTS = ['changelog', 'release'];
+
+/**
+ * Heading of the section collecting commits since the latest tag
+ */
+const UNRELEASED_HEADING = 'Unreleased';
+
+/**
+ * Validates section settings, given as names or objects ({"name", "heading", "emoji", "hide_in"}), in order
+ * @param {Array<string|Object>} [sections] - Section settings
+ * @returns {SectionConfig[]} Normalized sections
+ */
+function normalizeSections(sections = []) {
+  if (!Array.isArray(sections)) {
+    throw new Error('Sections must be a list of section names or objects');
+  }
+
+  return sections.map((section, index) => {
+    const config = typeof section === 'string' ? { name: section } : section || {};
+    if (!config.name) {
+      throw new Error(`Section ${index + 1} has no name`);
+    }
+
+    const hideIn = [].concat(config.hide_in || config.hideIn || []);
+    for (const output of hideIn) {
+      if (!SECTION_OUTPUTS.includes(output)) {
+        throw new Error(`Unknown output "${output}" for section ${config.name} (expected ${SECTION_OUTPUTS.join(' or ')})`);
+      }
+    }
+
+    const normalized = { name: config.name, hideIn };
+    if (config.heading) {
+      normalized.heading = config.heading;
+    }
+    if (config.emoji) {
+      normalized.emoji = config.emoji;
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Formats a section heading, using the configured heading and emoji when set (e.g. "### 🚀 New Features")
+ * @param {SectionConfig[]} sections - Section settings
+ * @param {string} name - Section name
+ * @returns {string} Markdown heading
+ */
+function formatHeading(sections, name) {
+  const section = sections.find(s => s.name === name) || {};
+  const emoji = section.emoji ? `${section.emoji} ` : '';
+  return `### ${emoji}${section.heading || name}`;
+}
+
+/**
+ * Named date formats: ISO 8601 (as used by Keep a Changelog) and the long "Mon D, YYYY" form
+ */
+const DATE_FORMATS = {
+  iso: 'YYYY-MM-DD',
+  long: 'MMM D, YYYY'
+};
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Formats a date for a changelog heading
+ * Patterns replace YYYY, MMMM (January), MMM (Jan), MM (01), M (1), DD (05) and D (5) in words made up only of
+ * these tokens (e.g. 'YYYYMMDD'), so other words such as 'Date' stay as they are; [text] is always kept as is.
+ * @param {Date|string} [date] - The date (defaults to now)
+ * @param {string} [format] - 'long' (default), 'iso', or a pattern such as 'DD.MM.YYYY'
+ * @param {string} [timeZone] - IANA time zone (e.g. 'Europe/Madrid'; defaults to the runner's)
  * @returns {string} Formatted date string
  */
-function formatDate() {
-  const date = new Date();
-  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  const month = months[date.getMonth()];
-  const day = date.getDate();
-  const year = date.getFullYear();
-  return `${month} ${day}, ${year}`;
+function formatDate(date = new Date(), format = 'long', timeZone = undefined) {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: 'numeric', day: 'numeric' });
+  } catch (e) {
+    throw new Error(`Invalid time zone "${timeZone}": ${e.message}`);
+  }
+
+  const parts = {};
+  for (const part of formatter.formatToParts(new Date(date))) {
+    parts[part.type] = parseInt(part.value, 10);
+  }
+
+  const tokens = {
+    YYYY: String(parts.year),
+    MMMM: MONTHS[parts.month - 1],
+    MMM: MONTHS[parts.month - 1].slice(0, 3),
+    MM: String(parts.month).padStart(2, '0'),
+    M: String(parts.month),
+    DD: String(parts.day).padStart(2, '0'),
+    D: String(parts.day)
+  };
+
+  const pattern = DATE_FORMATS[format || 'long'] || format;
+  return pattern.replace(/\[([^\]]*)\]|[A-Za-z]+/g, (word, literal) => {
+    if (literal !== undefined) {
+      return literal;
+    }
+    return /^(?:YYYY|MMMM|MMM|MM|M|DD|D)+$/.test(word) ? word.replace(/YYYY|MMMM|MMM|MM|M|DD|D/g, token => tokens[token]) : word;
+  });
+}
+
+/**
+ * Formats a single changelog entry
+ * Tickets and scope are rendered in bold when present (e.g. "**EMBR-1234**: **android**: Add X"),
+ * followed by the hashes of consolidated entries (e.g. "(`abc1234`, `def5678`)") and the
+ * pull request link and author when known (e.g. "([#123](url)) by @octocat")
+ * @param {import('./commit-parser').ParsedCommit} item - Parsed commit
+ * @returns {string} Markdown list item
+ */
+function formatEntry(item) {
+  const tickets = item.tickets || (item.ticket ? [item.ticket] : []);
+  const ticketPrefix = tickets.length > 0 ? `${tickets.map(ticket => `**${ticket}**`).join(', ')}: ` : '';
+  const scopePrefix = item.scope ? `**${item.scope}**: ` : '';
+  let entry = `- ${ticketPrefix}${scopePrefix}${item.description}`;
+
+  if (item.hashes) {
+    entry += ` (${item.hashes.map(hash => `\`${hash}\``).join(', ')})`;
+  }
+
+  if (item.pullRequest) {
+    entry += ` ([#${item.pullRequest.number}](${item.pullRequest.url}))`;
+    if (item.pullRequest.author) {
+      entry += ` by @${item.pullRequest.author}`;
+    }
+  }
+
+  return entry;
+}
+
+/**
+ * Formats a contributor as "@handle" when known, otherwise by name,
+ * with first-time contributors called out (e.g. "- @octocat (first contribution)")
+ * @param {import('./contributors').Contributor} contributor - The contributor
+ * @returns {string} Markdown list item
+ */
+function formatContributor(contributor) {
+  const name = contributor.login ? `@${contributor.login}` : contributor.name;
+  return `- ${name}${contributor.firstTime ? ' (first contribution)' : ''}`;
+}
+
+/**
+ * Gets the fields of an entry for templates
+ * @param {import('./commit-parser').ParsedCommit} item - Parsed commit
+ * @returns {Object} Template fields (see README)
+ */
+function toTemplateEntry(item) {
+  const tickets = item.tickets || (item.ticket ? [item.ticket] : []);
+  const pullRequest = item.pullRequest || {};
+
+  return {
+    ticket: tickets[0] || '',
+    tickets: tickets.join(', '),
+    scope: item.scope || '',
+    description: item.description,
+    hash: item.hash,
+    hashes: (item.hashes || [item.hash]).join(', '),
+    prNumber: pullRequest.number || '',
+    prUrl: pullRequest.url || '',
+    author: pullRequest.author || '',
+    breakingNote: item.breakingNote || ''
+  };
+}
+
+/**
+ * Gets the fields a template renders a release from, with the same sections and visibility as the built-in layout
+ * @param {string} version - The version/tag name
+ * @param {GroupedCommits} groupedCommits - Grouped commits
+ * @param {string[]} groupNames - Shown group names, sorted
+ * @param {boolean} includeUnmatched - Whether to include unmatched commits
+ * @param {Object} options - Rendering options (see generateChangelog)
+ * @param {function(string): boolean} isShown - Whether a section is shown in this output
+ * @returns {Object} Template fields (see README)
+ */
+function buildTemplateView(version, groupedCommits, groupNames, includeUnmatched, options, isShown) {
+  const sections = options.sections || [];
+  const headingOf = name => formatHeading(sections, name).replace(/^### /, '');
+  const breaking = isShown('Breaking Changes') ? groupedCommits.breaking || [] : [];
+  const unmatched = includeUnmatched && isShown('Other') ? groupedCommits.unmatched : [];
+  const contributors = isShown('Contributors') ? options.contributors || [] : [];
+  const isUnreleased = version === UNRELEASED_HEADING;
+
+  return {
+    version,
+    date: isUnreleased ? '' : formatDate(options.date, options.dateFormat, options.timeZone),
+    unreleased: isUnreleased,
+    noChanges: groupNames.length === 0 && groupedCommits.unmatched.length === 0,
+    sections: [
+      ...(breaking.length > 0 ? [{ name: 'Breaking Changes', entries: breaking }] : []),
+      ...groupNames.map(name => ({ name, entries: groupedCommits.groups[name] }))
+    ].map(({ name, entries }) => ({ name, heading: headingOf(name), entries: entries.map(toTemplateEntry) })),
+    unmatched: unmatched.length > 0
+      ? { heading: headingOf('Other'), entries: unmatched.map(item => ({ message: item.message, hash: item.hash })) }
+      : null,
+    contributors: contributors.length > 0
+      ? {
+        heading: headingOf('Contributors'),
+        firstTimeCount: contributors.filter(contributor => contributor.firstTime).length,
+        entries: contributors.map(contributor => ({
+          name: contributor.name,
+          login: contributor.login || '',
+          handle: contributor.login ? `@${contributor.login}` : contributor.name,
+          firstTime: Boolean(contributor.firstTime)
+        }))
+      }
+      : null
+  };
 }
 
 /**
@@ -24,33 +241,68 @@ function formatDate() {
  * @param {GroupedCommits} groupedCommits - Grouped commits
  * @param {string[]} sortedGroupNames - Sorted group names
  * @param {boolean} includeUnmatched - Whether to include unmatched commits
+ * @param {Object} [options] - Rendering options
+ * @param {import('./contributors').Contributor[]} [options.contributors] - Contributors to credit in a Contributors section
+ * @param {SectionConfig[]} [options.sections] - Section headings and visibility (see normalizeSections)
+ * @param {string} [options.output] - Output being rendered: 'changelog' (default) or 'release'
+ * @param {Date|string} [options.date] - Release date (defaults to now)
+ * @param {string} [options.dateFormat] - Date format (see formatDate)
+ * @param {string} [options.timeZone] - Time zone for the date (see formatDate)
+ * @param {string} [options.template] - Template to render instead of the built-in layout (see template.parseTemplate)
  * @returns {string} Markdown formatted changelog
  */
-function generateChangelog(version, groupedCommits, sortedGroupNames, includeUnmatched = false) {
-  const date = formatDate();
-  let changelog = `## ${version}\n*${date}*\n\n`;
+function generateChangelog(version, groupedCommits, sortedGroupNames, includeUnmatched = false, options = {}) {
+  const sections = options.sections || [];
+  const output = options.output || 'changelog';
+  const isShown = name => !sections.some(section => section.name === name && section.hideIn.includes(output));
+  const groupNames = sortedGroupNames.filter(isShown);
+
+  if (options.template) {
+    const view = buildTemplateView(version, groupedCommits, groupNames, includeUnmatched, options, isShown);
+    return renderTemplate(options.template, view);
+  }
+
+  // Unreleased notes have no release date yet
+  let changelog = version === UNRELEASED_HEADING
+    ? `## ${version}\n\n`
+    : `## ${version}\n*${formatDate(options.date, options.dateFormat, options.timeZone)}*\n\n`;
 
   // Check if there are any changes
-  if (sortedGroupNames.length === 0 && groupedCommits.unmatched.length === 0) {
+  if (groupNames.length === 0 && groupedCommits.unmatched.length === 0) {
     changelog += '_No changes recorded._\n\n';
     return changelog;
   }
 
+  // Breaking changes go first, with their migration notes indented under each entry
+  const breaking = groupedCommits.breaking || [];
+  if (breaking.length > 0 && isShown('Breaking Changes')) {
+    changelog += `${formatHeading(sections, 'Breaking Changes')}\n\n`;
+
+    for (const item of breaking) {
+      changelog += `${formatEntry(item)}\n`;
+      if (item.breakingNote) {
+        changelog += item.breakingNote.split('\n').map(line => `  ${line}`.trimEnd()).join('\n') + '\n';
+      }
+    }
+
+    changelog += '\n';
+  }
+
   // Add grouped commits
-  for (const groupName of sortedGroupNames) {
+  for (const groupName of groupNames) {
     const items = groupedCommits.groups[groupName];
-    changelog += `### ${groupName}\n\n`;
+    changelog += `${formatHeading(sections, groupName)}\n\n`;
 
     for (const item of items) {
-      changelog += `- **${item.ticket}**: ${item.description}\n`;
+      changelog += `${formatEntry(item)}\n`;
     }
 
     changelog += '\n';
   }
 
   // Add unmatched commits if requested
-  if (includeUnmatched && groupedCommits.unmatched.length > 0) {
-    changelog += `### Other\n\n`;
+  if (includeUnmatched && groupedCommits.unmatched.length > 0 && isShown('Other')) {
+    changelog += `${formatHeading(sections, 'Other')}\n\n`;
 
     for (const item of groupedCommits.unmatched) {
       changelog += `- ${item.message} (\`${item.hash}\`)\n`;
@@ -59,18 +311,136 @@ function generateChangelog(version, groupedCommits, sortedGroupNames, includeUnm
     changelog += '\n';
   }
 
+  // Credit everyone who authored or co-authored a commit
+  const contributors = options.contributors || [];
+  if (contributors.length > 0 && isShown('Contributors')) {
+    changelog += `${formatHeading(sections, 'Contributors')}\n\n`;
+
+    const firstTimers = contributors.filter(contributor => contributor.firstTime);
+    if (firstTimers.length > 0) {
+      const plural = firstTimers.length === 1 ? '' : 's';
+      changelog += `Welcome to our ${firstTimers.length} first-time contributor${plural}!\n\n`;
+    }
+
+    for (const contributor of contributors) {
+      changelog += `${formatContributor(contributor)}\n`;
+    }
+
+    changelog += '\n';
+  }
+
   return changelog;
 }
 
+/**
+ * How updateChangelogFile handles a version already in the file: keep the existing section ('skip')
+ * or swap in the generated one ('replace')
+ */
+const CHANGELOG_UPDATE_MODES = ['skip', 'replace'];
+
+/**
+ * Checks that a changelog update mode is known
+ * @param {string} mode - The changelog update mode
+ */
+function assertChangelogUpdateMode(mode) {
+  if (!CHANGELOG_UPDATE_MODES.includes(mode)) {
+    throw new Error(`Unknown changelog update mode "${mode}" (expected ${CHANGELOG_UPDATE_MODES.join(' or ')})`);
+  }
+}
+
+/**
+ * Finds where a new section goes so versions stay newest first: above the first older release,
+ * or below the "## Unreleased" section for versions that aren't semver
+ * @param {ChangelogSection[]} sections - Existing sections
+ * @param {string} version - The new version, or 'Unreleased'
+ * @param {import('./tag-utils').TagFilter} filter - Tag filter, for the version part of prefixed tags
+ * @returns {number} Index to insert the section at
+ */
+function findInsertIndex(sections, version, filter) {
+  if (version === UNRELEASED_HEADING) {
+    return 0;
+  }
+
+  let index = sections.findIndex(section => section.version === UNRELEASED_HEADING) + 1;
+  const newVersion = getTagVersion(version, filter);
+  if (!parseSemver(newVersion)) {
+    return index;
+  }
+
+  for (let i = index; i < sections.length; i++) {
+    const existingVersion = getTagVersion(sections[i].version, filter);
+    if (!parseSemver(existingVersion)) {
+      continue;
+    }
+    if (compareSemver(existingVersion, newVersion) < 0) {
+      return i;
+    }
+    index = i + 1;
+  }
+
+  return index;
+}
+
+/**
+ * Joins a parsed changelog back together, leaving the untouched sections as they were
+ * @param {string} preamble - Text before the first section
+ * @param {ChangelogSection[]} sections - Sections in order
+ * @returns {string} Changelog markdown
+ */
+function joinChangelog(preamble, sections) {
+  const blocks = sections.map((section, i) =>
+    i < sections.length - 1 && !section.content.endsWith('\n') ? `${section.content}\n` : section.content
+  );
+
+  return (preamble ? [preamble.replace(/\n*$/, '\n'), ...blocks] : blocks).join('\n');
+}
+
+/**
+ * Gets the heading of a section: its lines up to the first blank line (e.g. "## v1.2.0" and "*Dec 6, 2024*")
+ * @param {string} content - The section markdown
+ * @returns {string[]} Heading lines
+ */
+function getSectionHeading(content) {
+  const lines = content.split('\n');
+  const end = lines.findIndex(line => line.trim() === '');
+  return lines.slice(0, end === -1 ? lines.length : end);
+}
+
+/**
+ * Checks that rendered notes start with the "## <version>" heading CHANGELOG.md sections are found by,
+ * e.g. for notes rendered from a template
+ * @param {string} content - The rendered notes
+ * @param {string} version - The version/tag name, or 'Unreleased'
+ */
+function assertVersionHeading(content, version) {
+  const { preamble, sections } = parseChangelog(content);
+  if (preamble.trim() || sections.length === 0 || sections[0].version !== version) {
+    const firstLine = content.split('\n').find(line => line.trim()) || '';
+    throw new Error(`Notes for CHANGELOG.md must start with a "## ${version}" heading, got "${firstLine}"`);
+  }
+}
+
 /**
  * Updates or creates CHANGELOG.md file
+ * Sections are matched by their exact version, so "## v1.2" is not "## v1.2.3". A version already in the file
+ * is skipped, or regenerated with options.mode 'replace'; a new one is inserted in semver order.
+ * The "## Unreleased" section is replaced on every update. With options.unreleased, a release swaps the
+ * heading of an existing Unreleased section for the heading of changelogContent (see getSectionHeading),
+ * keeping its entries.
  * @param {Object} core - GitHub Actions core object
  * @param {string} changelogPath - Path to CHANGELOG.md
- * @param {string} version - The version/tag name
+ * @param {string} version - The version/tag name, or 'Unreleased'
  * @param {string} changelogContent - The changelog content to add
+ * @param {Object} [options] - Update options
+ * @param {string} [options.mode] - What to do when the version exists: 'skip' (default) or 'replace'
+ * @param {import('./tag-utils').TagFilter} [options.filter] - Tag filter, for the version part of prefixed tags
+ * @param {boolean} [options.unreleased] - Promote the Unreleased section when releasing a version
  * @returns {boolean} True if updated successfully
  */
-function updateChangelogFile(core, changelogPath, version, changelogContent) {
+function updateChangelogFile(core, changelogPath, version, changelogContent, options = {}) {
+  const mode = options.mode || 'skip';
+  assertChangelogUpdateMode(mode);
+
   try {
     let existingContent = '';
 
@@ -82,36 +452,41 @@ function updateChangelogFile(core, changelogPath, version, changelogContent) {
       core.info(`Creating new ${changelogPath}`);
     }
 
-    // Check if this version already exists
-    if (existingContent.includes(`## ${version}`)) {
-      core.info(`Version ${version} already exists in ${changelogPath}, skipping update`);
-      return false;
-    }
+    const filter = options.filter || {};
+    const isUnreleased = version === UNRELEASED_HEADING;
+    const { preamble, sections } = parseChangelog(existingContent);
+    const section = { version, content: changelogContent.replace(/\n*$/, '\n') };
+    const index = sections.findIndex(existing => isSameVersion(existing.version, version, filter));
 
-    // Find insertion point (after header)
-    const lines = existingContent.split('\n');
-    let insertIndex = 0;
+    let message;
+    if (index !== -1) {
+      if (!isUnreleased && mode === 'skip') {
+        core.info(`Version ${version} already exists in ${changelogPath}, skipping update`);
+        return false;
+      }
+
+      sections[index] = section;
+      message = isUnreleased
+        ? `Successfully updated the ${UNRELEASED_HEADING} section of ${changelogPath}`
+        : `Replaced the ${version} section of ${changelogPath}`;
+    } else {
+      const unreleased = sections.find(existing => existing.version === UNRELEASED_HEADING);
 
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].startsWith('# ')) {
-        insertIndex = i + 1;
-        // Skip empty lines after header
-        while (insertIndex < lines.length && lines[insertIndex].trim() === '') {
-          insertIndex++;
-        }
-        break;
+      if (unreleased && options.unreleased && !isUnreleased) {
+        // Release the pending entries under the version heading, in the layout the notes were rendered in
+        const lines = unreleased.content.split('\n');
+        const entries = lines.slice(getSectionHeading(unreleased.content).length);
+        unreleased.version = version;
+        unreleased.content = [...getSectionHeading(changelogContent), ...entries].join('\n');
+        message = `Renamed the ${UNRELEASED_HEADING} section of ${changelogPath} to ${version}`;
+      } else {
+        sections.splice(findInsertIndex(sections, version, filter), 0, section);
+        message = `Successfully updated ${changelogPath}`;
       }
     }
 
-    // Insert new changelog
-    const newContent =
-      lines.slice(0, insertIndex).join('\n') +
-      '\n' +
-      changelogContent +
-      lines.slice(insertIndex).join('\n');
-
-    fs.writeFileSync(changelogPath, newContent);
-    core.info(`Successfully updated ${changelogPath}`);
+    fs.writeFileSync(changelogPath, joinChangelog(preamble, sections));
+    core.info(message);
     return true;
   } catch (e) {
     core.error(`Failed to update ${changelogPath}: ${e.message}`);
@@ -119,6 +494,93 @@ function updateChangelogFile(core, changelogPath, version, changelogContent) {
   }
 }
 
+/**
+ * Splits a changelog into the text before the first version heading and one section per "## " heading
+ * @param {string} content - Changelog markdown
+ * @returns {{preamble: string, sections: ChangelogSection[]}} Parsed changelog
+ */
+function parseChangelog(content) {
+  const lines = content.split('\n');
+  const headings = lines.map((line, i) => (line.startsWith('## ') ? i : -1)).filter(i => i !== -1);
+  const end = headings.length > 0 ? headings[0] : lines.length;
+
+  const sections = headings.map((start, n) => {
+    const heading = lines[start].slice(3).trim();
+    return {
+      version: heading.split(/\s+/)[0].replace(/^\[|\]$/g, ''),
+      content: lines.slice(start, n + 1 < headings.length ? headings[n + 1] : lines.length).join('\n')
+    };
+  });
+
+  return { preamble: lines.slice(0, end).join('\n'), sections };
+}
+
+/**
+ * Checks whether two section versions are the same release ('1.2.0' and 'v1.2.0' are)
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @param {import('./tag-utils').TagFilter} [filter] - Tag filter, for the version part of prefixed tags
+ * @returns {boolean} True for the same release
+ */
+function isSameVersion(a, b, filter = {}) {
+  if (a === b) {
+    return true;
+  }
+
+  const versionA = getTagVersion(a, filter);
+  const versionB = getTagVersion(b, filter);
+  return Boolean(parseSemver(versionA) && parseSemver(versionB) && compareSemver(versionA, versionB) === 0);
+}
+
+/**
+ * Writes a complete changelog from generated sections, newest first, e.g. when backfilling every release
+ * With options.keepExisting, sections already in the file win over generated ones for the same version, and
+ * sections for other versions stay: Unreleased on top, versions in semver order, anything else at the end.
+ * @param {Object} core - GitHub Actions core object
+ * @param {string} changelogPath - Path to CHANGELOG.md
+ * @param {ChangelogSection[]} generatedSections - Generated sections, newest first
+ * @param {Object} [options] - Write options
+ * @param {boolean} [options.keepExisting] - Keep the sections already in the file
+ * @param {import('./tag-utils').TagFilter} [options.filter] - Tag filter, for the version part of prefixed tags
+ * @returns {string} The written changelog
+ */
+function writeChangelogFile(core, changelogPath, generatedSections, options = {}) {
+  try {
+    const existing = fs.existsSync(changelogPath)
+      ? parseChangelog(fs.readFileSync(changelogPath, 'utf-8'))
+      : { preamble: '', sections: [] };
+    const filter = options.filter || {};
+    const kept = options.keepExisting ? existing.sections : [];
+    const isKept = section => kept.some(existingSection => isSameVersion(existingSection.version, section.version, filter));
+
+    const versioned = generatedSections.filter(section => !isKept(section));
+    const others = [];
+    for (const section of kept) {
+      if (section.version === UNRELEASED_HEADING) {
+        continue;
+      }
+      (parseSemver(getTagVersion(section.version, filter)) ? versioned : others).push(section);
+    }
+    versioned.sort((a, b) => compareSemver(getTagVersion(b.version, filter), getTagVersion(a.version, filter)));
+
+    const sections = [
+      ...kept.filter(section => section.version === UNRELEASED_HEADING),
+      ...versioned,
+      ...others
+    ];
+    const preamble = existing.preamble.trim() ? existing.preamble.replace(/\n*$/, '\n\n') : '# Changelog\n\n';
+    const content = preamble + sections.map(section => section.content.replace(/\n*$/, '\n\n')).join('').replace(/\n+$/, '\n');
+
+    fs.writeFileSync(changelogPath, content);
+    const generatedCount = versioned.filter(section => generatedSections.includes(section)).length;
+    core.info(`Wrote ${sections.length} sections to ${changelogPath} (${sections.length - generatedCount} kept from the existing file)`);
+    return content;
+  } catch (e) {
+    core.error(`Failed to write ${changelogPath}: ${e.message}`);
+    throw e;
+  }
+}
+
 /**
  * Creates or updates a GitHub Release
  * @param {Object} github - GitHub API client
@@ -184,7 +646,17 @@ async function createOrUpdateRelease(github, context, core, tag, releaseNotes, i
 }
 
 module.exports = {
+  UNRELEASED_HEADING,
+  SECTION_OUTPUTS,
+  CHANGELOG_UPDATE_MODES,
+  DATE_FORMATS,
+  normalizeSections,
+  assertChangelogUpdateMode,
+  assertVersionHeading,
+  formatDate,
   generateChangelog,
   updateChangelogFile,
+  parseChangelog,
+  writeChangelogFile,
   createOrUpdateRelease
 };
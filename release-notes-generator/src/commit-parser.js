@@ -1,10 +1,27 @@
-const { execSync } = require('child_process');
+const { createGitSource, parseTrailers } = require('./commit-source');
+
+/**
+ * @typedef {Object} GitCommit
+ * @property {string} hash - The full commit hash
+ * @property {string} message - The commit subject
+ * @property {string} body - The commit body (without the subject)
+ * @property {{name: string, email: string}} author - The commit author
+ * @property {string} date - The author date (ISO 8601)
+ * @property {Object.<string, string[]>} trailers - Git trailers keyed by lowercase token (e.g. 'co-authored-by')
+ * @property {import('./pull-requests').PullRequestInfo} [pullRequest] - Associated pull request (set by enrichCommits)
+ */
 
 /**
  * @typedef {Object} ParsedCommit
- * @property {string} ticket - The ticket number (e.g., 'EMBR-1234')
+ * @property {string|null} ticket - The ticket number (e.g., 'EMBR-1234'), null for ticketless Conventional Commits
+ * @property {string[]} [tickets] - All tickets when the commit mentions several (e.g., [EMBR-1][EMBR-2])
+ * @property {string[]} [hashes] - All short hashes when entries are consolidated by ticket
+ * @property {string} [scope] - The Conventional Commits scope (e.g., 'android')
  * @property {string} description - The commit description
  * @property {string} hash - The short commit hash
+ * @property {boolean} [breaking] - True when the commit is a breaking change
+ * @property {string} [breakingNote] - Migration note from the BREAKING CHANGE footer
+ * @property {{number: number, url: string, author: string|null}} [pullRequest] - Associated pull request
  */
 
 /**
@@ -17,6 +34,7 @@ const { execSync } = require('child_process');
  * @typedef {Object} GroupedCommits
  * @property {Object.<string, ParsedCommit[]>} groups - Commits grouped by type
  * @property {UnmatchedCommit[]} unmatched - Commits that don't match the pattern
+ * @property {ParsedCommit[]} breaking - Breaking changes (also listed in their type group when matched)
  */
 
 /**
@@ -36,105 +54,636 @@ const DEFAULT_TYPES = {
   doc: "Documentation"
 };
 
+/**
+ * Default ticket project keys (matches pr-title-formatter)
+ */
+const DEFAULT_TICKET_PATTERN = 'EMBR';
+
+/**
+ * Builds the regex source that matches a single ticket reference
+ * Accepts either a list of project keys separated by commas or whitespace (e.g. 'EMBR, SDK, #')
+ * or a raw regex (optionally wrapped in slashes). The '#' key matches GitHub issue refs like #123.
+ * @param {string} [ticketPattern] - Project keys or regex
+ * @returns {string} Regex source matching one ticket
+ */
+function buildTicketRegex(ticketPattern) {
+  const input = (ticketPattern || DEFAULT_TICKET_PATTERN).trim();
+  const keys = input.split(/[\s,]+/).filter(Boolean);
+  const isKeyList = keys.every(key => key === '#' || /^[A-Za-z][A-Za-z0-9_]*$/.test(key));
+
+  if (isKeyList) {
+    return keys.map(key => (key === '#' ? '#\\d+' : `${key}-\\d+`)).join('|');
+  }
+
+  const source = input.replace(/^\/(.*)\/$/, '$1');
+  try {
+    new RegExp(source);
+  } catch (e) {
+    throw new Error(`Invalid ticket pattern "${input}": ${e.message}`);
+  }
+  return `(?:${source})`;
+}
+
 /**
  * Gets commits between two git references
  * @param {string} baseRef - Base reference (tag or commit hash)
  * @param {string} currentRef - Current reference (tag or commit hash)
- * @returns {Array<{hash: string, message: string}>} Array of commits
+ * @param {string[]} [paths] - Only include commits touching these paths (git pathspecs)
+ * @param {import('./commit-source').CommitSource} [source] - Commit source (defaults to the local git CLI)
+ * @param {import('./commit-source').CommitQueryOptions} [options] - Query options (e.g. firstParent)
+ * @returns {Promise<GitCommit[]>} Array of commits
  */
-function getCommitsBetween(baseRef, currentRef) {
+async function getCommitsBetween(baseRef, currentRef, paths = [], source = createGitSource(), options = {}) {
   try {
-    const gitLog = execSync(
-      `git log ${baseRef}..${currentRef} --pretty=format:"%H|%s"`,
-      { encoding: 'utf-8' }
-    ).trim();
-
-    if (!gitLog) {
-      return [];
-    }
-
-    return gitLog.split('\n').map(line => {
-      const [hash, message] = line.split('|');
-      return { hash, message };
-    });
+    return await source.getCommits(baseRef, currentRef, paths, options);
   } catch (e) {
     throw new Error(`Failed to get commits: ${e.message}`);
   }
 }
 
 /**
- * Parses a commit message to extract ticket, type, and description
- * Pattern: [EMBR-1234] Type: description
+ * Builds the regex source for one or more bracketed tickets, e.g. "[EMBR-1]" or "[EMBR-1][EMBR-2]"
+ * @param {string} ticket - Regex source matching one ticket
+ * @returns {string} Regex source matching the ticket block
+ */
+function ticketBlockRegex(ticket) {
+  return `\\[(?:${ticket})\\](?:\\s*\\[(?:${ticket})\\])*`;
+}
+
+/**
+ * Extracts the tickets from a matched ticket block
+ * @param {string} block - Matched ticket block
+ * @param {string} ticket - Regex source matching one ticket
+ * @returns {string[]} Uppercased tickets in order
+ */
+function extractTickets(block, ticket) {
+  return Array.from(block.matchAll(new RegExp(`\\[(${ticket})\\]`, 'gi')), match => match[1].toUpperCase());
+}
+
+/**
+ * Sets ticket (and tickets, when a commit mentions several) on a parsed commit
+ * @param {Object} parsed - Parsed commit data
+ * @param {string[]} tickets - Tickets in order
+ * @returns {Object} The parsed commit data
+ */
+function assignTickets(parsed, tickets) {
+  parsed.ticket = tickets.length > 0 ? tickets[0] : null;
+  if (tickets.length > 1) {
+    parsed.tickets = tickets;
+  }
+  return parsed;
+}
+
+/**
+ * Parses an Embrace formatted commit message
+ * Pattern: [EMBR-1234] Type: description (or Type(scope): with a scope, Type!: for breaking changes,
+ * [EMBR-1][EMBR-2] for several tickets)
+ * @param {string} message - The commit message
+ * @param {string} ticket - Regex source matching one ticket
+ * @returns {{ticket: string, tickets?: string[], type: string, scope?: string, description: string, breaking?: boolean}|null} Parsed data or null if no match
+ */
+function parseEmbraceMessage(message, ticket) {
+  // Pattern: [TICKET] Type(scope): description (brackets are required, the scope is optional)
+  // Named groups keep indices stable when a custom regex has its own capture groups
+  const pattern = new RegExp(
+    `^(?<tickets>${ticketBlockRegex(ticket)})\\s+(?<type>[^:!()]+)(?:\\((?<scope>[^()]+)\\))?(?<breaking>!)?:\\s*(?<description>.+)$`,
+    'i'
+  );
+  const match = message.match(pattern);
+
+  if (!match) {
+    return null;
+  }
+
+  const parsed = assignTickets({}, extractTickets(match.groups.tickets, ticket));
+  parsed.type = match.groups.type.trim();
+  parsed.description = match.groups.description.trim();
+
+  if (match.groups.scope) {
+    parsed.scope = match.groups.scope.trim();
+  }
+
+  if (match.groups.breaking) {
+    parsed.breaking = true;
+  }
+
+  return parsed;
+}
+
+/**
+ * Parses a Conventional Commits header
+ * Pattern: type(scope)!: description, optionally with [TICKET] blocks before the type or the description
  * @param {string} message - The commit message
- * @returns {{ticket: string, type: string, description: string}|null} Parsed data or null if no match
+ * @param {string} ticket - Regex source matching one ticket
+ * @returns {{ticket: string|null, tickets?: string[], type: string, scope?: string, description: string, breaking?: boolean}|null} Parsed data or null if no match
  */
-function parseCommitMessage(message) {
-  // Pattern: [EMBR-1234] Type: description (brackets are required)
-  const pattern = /^\[(EMBR-\d+)\]\s+([^:]+):\s*(.+)$/i;
+function parseConventionalMessage(message, ticket) {
+  const pattern = new RegExp(
+    `^(?:(?<prefixTickets>${ticketBlockRegex(ticket)})\\s*)?` +
+    '(?<type>[a-z][\\w-]*)(?:\\((?<scope>[^()]+)\\))?(?<breaking>!)?:\\s+' +
+    `(?:(?<tickets>${ticketBlockRegex(ticket)})\\s*)?(?<description>.+)$`,
+    'i'
+  );
   const match = message.match(pattern);
 
   if (!match) {
     return null;
   }
 
-  return {
-    ticket: match[1].toUpperCase(),
-    type: match[2].trim(),
-    description: match[3].trim()
-  };
+  const block = match.groups.prefixTickets || match.groups.tickets || '';
+  const parsed = assignTickets({}, extractTickets(block, ticket));
+  parsed.type = match.groups.type;
+  parsed.description = match.groups.description.trim();
+
+  if (match.groups.scope) {
+    parsed.scope = match.groups.scope.trim();
+  }
+
+  if (match.groups.breaking) {
+    parsed.breaking = true;
+  }
+
+  return parsed;
+}
+
+/**
+ * Parses a commit message to extract ticket, type, scope, and description
+ * Formats:
+ * - 'embrace': [EMBR-1234] Type: description
+ * - 'conventional': type(scope)!: description, ticket optional
+ * - 'auto': tries Conventional Commits first, then the Embrace format
+ * @param {string} message - The commit message
+ * @param {Object} [options] - Parser options
+ * @param {string} [options.ticketPattern] - Ticket project keys or regex (see buildTicketRegex)
+ * @param {string} [options.commitFormat] - 'embrace' (default), 'conventional' or 'auto'
+ * @returns {{ticket: string|null, tickets?: string[], type: string, scope?: string, description: string, breaking?: boolean}|null} Parsed data or null if no match
+ */
+function parseCommitMessage(message, options = {}) {
+  const ticket = buildTicketRegex(options.ticketPattern);
+  const format = options.commitFormat || 'embrace';
+
+  switch (format) {
+    case 'embrace':
+      return parseEmbraceMessage(message, ticket);
+    case 'conventional':
+      return parseConventionalMessage(message, ticket);
+    case 'auto':
+      return parseConventionalMessage(message, ticket) || parseEmbraceMessage(message, ticket);
+    default:
+      throw new Error(`Unknown commit format "${format}" (expected embrace, conventional or auto)`);
+  }
+}
+
+/**
+ * Checks whether an unmapped type gets its own section
+ * Embrace-format commits always carry a ticket, so their types are deliberate. Ticketless Conventional
+ * Commits would turn any "Word: text" subject (e.g. "WIP: stuff") into a section, so they go to Other.
+ * @param {{ticket: string|null}} parsed - Parsed commit
+ * @param {Object} [options] - Parser options (see parseCommitMessage)
+ * @returns {boolean} True when the type becomes a section
+ */
+function allowsUnknownType(parsed, options = {}) {
+  const format = options.commitFormat || 'embrace';
+  return format === 'embrace' || (format === 'auto' && Boolean(parsed.ticket));
+}
+
+/**
+ * How merge commits are handled:
+ * - 'skip': merge commits are left out (squash and rebase workflows)
+ * - 'include': pull request merge commits become entries from their PR title
+ * - 'first-parent': like 'include', and the commits merged through them are ignored
+ */
+const MERGE_COMMIT_MODES = ['skip', 'include', 'first-parent'];
+
+/**
+ * GitHub merge commit subject, e.g. "Merge pull request #123 from owner/feature/EMBR-1234-add-login"
+ */
+const MERGE_PULL_REQUEST_PATTERN = /^Merge pull request #\d+ from (\S+)/;
+
+/**
+ * Reads the pull request title from a GitHub merge commit
+ * The title is the first line of the body. Without one, a title is built from the branch name
+ * (owner/type/EMBR-1234-slug) in the configured commit format.
+ * @param {GitCommit} commit - The merge commit
+ * @param {Object} [options] - Parser options (see parseCommitMessage)
+ * @returns {string|null} The pull request title, or null for other merge commits (e.g. "Merge branch 'main'")
+ */
+function parseMergeCommit(commit, options = {}) {
+  const match = commit.message.match(MERGE_PULL_REQUEST_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const title = (commit.body || '').split('\n').map(line => line.trim()).find(Boolean);
+  if (title) {
+    return title;
+  }
+
+  const ticket = buildTicketRegex(options.ticketPattern);
+  const branch = match[1].match(new RegExp(`^(?:[^/]+\\/)?(?<type>[^/]+)\\/(?<ticket>${ticket})(?:[-_](?<slug>.+))?$`, 'i'));
+  if (!branch) {
+    return commit.message;
+  }
+
+  const ticketId = branch.groups.ticket.toUpperCase();
+  const words = (branch.groups.slug || '').replace(/[-_]+/g, ' ').trim();
+  const description = words ? words.charAt(0).toUpperCase() + words.slice(1) : ticketId;
+  const type = branch.groups.type.toLowerCase();
+
+  return (options.commitFormat || 'embrace') === 'embrace'
+    ? `[${ticketId}] ${type.charAt(0).toUpperCase() + type.slice(1)}: ${description}`
+    : `${type}: [${ticketId}] ${description}`;
+}
+
+/**
+ * Extracts the migration note from a BREAKING CHANGE / BREAKING-CHANGE footer
+ * The note runs until the next footer token or the end of the body
+ * @param {string} [body] - The commit body
+ * @returns {string|null} The footer text, or null if there is no breaking change footer
+ */
+function extractBreakingNote(body) {
+  if (!body) {
+    return null;
+  }
+
+  const lines = body.split('\n');
+  const start = lines.findIndex(line => /^BREAKING[ -]CHANGE:/.test(line));
+
+  if (start === -1) {
+    return null;
+  }
+
+  const noteLines = [lines[start].replace(/^BREAKING[ -]CHANGE:\s*/, '')];
+  for (const line of lines.slice(start + 1)) {
+    if (/^[\w-]+: /.test(line) || /^[\w-]+ #/.test(line)) {
+      break;
+    }
+    noteLines.push(line);
+  }
+
+  return noteLines.join('\n').trim();
+}
+
+/**
+ * Default labels that drop a commit from the changelog
+ */
+const DEFAULT_SKIP_LABELS = ['skip-changelog'];
+
+/**
+ * Group name for reverts whose original commit is outside the range
+ */
+const REVERTS_GROUP = 'Reverts';
+
+/**
+ * In-message marker that drops a commit from the changelog
+ */
+const SKIP_MARKER_PATTERN = /\[skip[ -]changelog\]/i;
+
+/**
+ * Compiles exclude patterns into matchers
+ * Each pattern is either a regex wrapped in slashes (e.g. '/^wip/i'), matched against the subject,
+ * or a type with optional scope (e.g. 'chore' or 'chore(deps)'), matched against the parsed commit
+ * @param {string[]} [patterns] - Exclude patterns
+ * @returns {Array<{regex?: RegExp, type?: string, scope?: string}>} Compiled matchers
+ */
+function compileExcludePatterns(patterns = []) {
+  return patterns.map(pattern => pattern.trim()).filter(Boolean).map(pattern => {
+    const regexMatch = pattern.match(/^\/(.*)\/([a-z]*)$/);
+    if (regexMatch) {
+      try {
+        // g and y make test() resume from the previous match, which would skip every other commit
+        return { regex: new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, '')) };
+      } catch (e) {
+        throw new Error(`Invalid exclude pattern "${pattern}": ${e.message}`);
+      }
+    }
+
+    const typeMatch = pattern.match(/^([^()\s]+)(?:\(([^()]+)\))?$/);
+    if (!typeMatch) {
+      throw new Error(`Invalid exclude pattern "${pattern}" (expected /regex/ or type(scope))`);
+    }
+
+    return {
+      type: typeMatch[1].toLowerCase(),
+      scope: typeMatch[2] ? typeMatch[2].toLowerCase() : undefined
+    };
+  });
+}
+
+/**
+ * Reads a plain type(scope)!: prefix from a subject, so type exclude patterns still apply to subjects
+ * the configured format doesn't parse (e.g. 'chore(deps): bump lodash' with the embrace format)
+ * @param {string} subject - The commit subject
+ * @returns {{type: string, scope?: string}|null} Type and scope, or null without a prefix
+ */
+function parseTypePrefix(subject) {
+  const match = subject.match(/^([a-z][\w-]*)(?:\(([^()]+)\))?!?:\s/i);
+  if (!match) {
+    return null;
+  }
+
+  return match[2] ? { type: match[1], scope: match[2].trim() } : { type: match[1] };
+}
+
+/**
+ * Checks whether a commit matches any exclude matcher
+ * @param {{message: string}} commit - The commit
+ * @param {{type: string, scope?: string}|null} header - Parsed commit message, or the type prefix of an unparsed subject
+ * @param {Array<{regex?: RegExp, type?: string, scope?: string}>} matchers - Compiled exclude patterns
+ * @returns {boolean} True if the commit is excluded
+ */
+function isExcluded(commit, header, matchers) {
+  return matchers.some(matcher => {
+    if (matcher.regex) {
+      return matcher.regex.test(commit.message);
+    }
+
+    if (!header || header.type.toLowerCase() !== matcher.type) {
+      return false;
+    }
+
+    return matcher.scope === undefined || (header.scope || '').toLowerCase() === matcher.scope;
+  });
+}
+
+/**
+ * Parses a git revert commit ('Revert "original subject"' with "This reverts commit <hash>." in the body)
+ * @param {{message: string, body?: string}} commit - The commit
+ * @returns {{message: string, hash: string|null}|null} The reverted subject and hash, or null if not a revert
+ */
+function parseRevert(commit) {
+  const match = commit.message.match(/^Revert "(.+)"$/);
+  if (!match) {
+    return null;
+  }
+
+  const hashMatch = (commit.body || '').match(/This reverts commit ([0-9a-f]{7,40})/);
+  return { message: match[1], hash: hashMatch ? hashMatch[1] : null };
+}
+
+/**
+ * Finds reverts whose original commit is in the same range
+ * Both commits of each pair cancel out. Commits are expected newest first (git log order),
+ * so a revert of a revert cancels the first revert and leaves the original in place.
+ * @param {Array<{hash: string, message: string, body?: string}>} commits - Array of commits
+ * @returns {Set<string>} Hashes of the cancelled commits
+ */
+function findCancelledReverts(commits) {
+  const cancelled = new Set();
+
+  for (const commit of commits) {
+    const revert = parseRevert(commit);
+    if (!revert || cancelled.has(commit.hash)) {
+      continue;
+    }
+
+    const original = commits.find(candidate =>
+      candidate !== commit &&
+      !cancelled.has(candidate.hash) &&
+      (revert.hash ? candidate.hash.startsWith(revert.hash) : candidate.message === revert.message)
+    );
+
+    if (original) {
+      cancelled.add(commit.hash);
+      cancelled.add(original.hash);
+    }
+  }
+
+  return cancelled;
+}
+
+/**
+ * Finds the group for a commit from its pull request labels
+ * The first entry of labelTypes whose label is on the PR wins
+ * @param {string[]} labels - Pull request label names
+ * @param {Object.<string, string>} labelTypes - Label to group name mapping
+ * @returns {string|null} Group name, or null if no label is mapped
+ */
+function findLabelGroup(labels, labelTypes) {
+  const prLabels = labels.map(label => label.toLowerCase());
+  const entry = Object.entries(labelTypes).find(([label]) => prLabels.includes(label.toLowerCase()));
+  return entry ? entry[1] : null;
+}
+
+/**
+ * Merges entries that share a ticket into one entry per ticket
+ * Entries are expected newest first (git log order). Each merged entry stays in the group of the
+ * ticket's earliest commit and lists the short hashes of all its commits, oldest first. A commit
+ * with several tickets is credited to each of them. Reverts and ticketless entries are left as is.
+ * @param {Array<{groupName: string, item: ParsedCommit}>} entries - Grouped entries in commit order
+ * @param {string} mode - 'first' keeps the earliest description, 'descriptive' keeps the longest one
+ * @returns {Array<{groupName: string, item: ParsedCommit}>} Consolidated entries, newest first
+ */
+function consolidateByTicket(entries, mode) {
+  if (mode !== 'first' && mode !== 'descriptive') {
+    throw new Error(`Unknown consolidation mode "${mode}" (expected none, first or descriptive)`);
+  }
+
+  const byTicket = new Map();
+  const consolidated = [];
+
+  for (const entry of [...entries].reverse()) {
+    const { groupName, item } = entry;
+    const tickets = item.tickets || (item.ticket ? [item.ticket] : []);
+
+    if (groupName === REVERTS_GROUP || tickets.length === 0) {
+      consolidated.push(entry);
+      continue;
+    }
+
+    for (const ticket of tickets) {
+      const existing = byTicket.get(ticket);
+
+      if (existing) {
+        existing.item.hashes.push(item.hash);
+        const isMoreDescriptive = item.description.length > existing.item.description.length;
+        if (mode === 'descriptive' && isMoreDescriptive) {
+          existing.item.description = item.description;
+        }
+        continue;
+      }
+
+      const merged = { ...item, ticket, hashes: [item.hash] };
+      delete merged.tickets;
+
+      const mergedEntry = { groupName, item: merged };
+      byTicket.set(ticket, mergedEntry);
+      consolidated.push(mergedEntry);
+    }
+  }
+
+  return consolidated.reverse();
 }
 
 /**
  * Groups commits by type
- * @param {Array<{hash: string, message: string}>} commits - Array of commits
+ * Title types are mapped with DEFAULT_TYPES/additionalTypes; when options.labelTypes is set,
+ * pull request labels (see pull-requests.enrichCommits) can override or back up that mapping
+ * @param {Array<GitCommit|{hash: string, message: string, body?: string}>} commits - Array of commits
  * @param {Object.<string, string>} additionalTypes - Additional type mappings
+ * @param {Object} [options] - Parser options (see parseCommitMessage)
+ * @param {Object.<string, string>} [options.labelTypes] - PR label to group name mapping (e.g. {"bug": "Bug Fixes"})
+ * @param {string} [options.labelMode] - 'fallback' (default) uses labels only when the title type is unknown or
+ *   unparsable, 'override' lets a mapped label win over the title type
+ * @param {string[]} [options.skipLabels] - PR labels that drop the commit (defaults to ['skip-changelog'])
+ * @param {boolean} [options.linkPullRequests] - Attach the PR to entries (defaults to true when commits have one)
+ * @param {string[]} [options.excludePatterns] - Subject regexes ('/^wip/i') or types ('chore(deps)') to leave out
+ * @param {string} [options.consolidate] - Merge entries by ticket: 'none' (default), 'first' or 'descriptive'
+ *   (see consolidateByTicket)
+ * @param {string} [options.mergeCommits] - 'skip' (default), 'include' or 'first-parent' (see MERGE_COMMIT_MODES)
  * @returns {GroupedCommits} Grouped commits
  */
-function groupCommits(commits, additionalTypes = {}) {
+function groupCommits(commits, additionalTypes = {}, options = {}) {
   const typeMap = { ...DEFAULT_TYPES, ...additionalTypes };
-  const groups = {};
+  const labelTypes = options.labelTypes || {};
+  const labelMode = options.labelMode || 'fallback';
+  const skipLabels = (options.skipLabels || DEFAULT_SKIP_LABELS).map(label => label.toLowerCase());
+  const excludeMatchers = compileExcludePatterns(options.excludePatterns);
+  const consolidate = options.consolidate || 'none';
+  const entries = [];
   const unmatched = [];
+  const breaking = [];
+
+  if (labelMode !== 'fallback' && labelMode !== 'override') {
+    throw new Error(`Unknown label mode "${labelMode}" (expected fallback or override)`);
+  }
 
+  const mergeCommits = options.mergeCommits || 'skip';
+  if (!MERGE_COMMIT_MODES.includes(mergeCommits)) {
+    throw new Error(`Unknown merge commit mode "${mergeCommits}" (expected ${MERGE_COMMIT_MODES.join(', ')})`);
+  }
+
+  // Pull request merge commits stand in for their PR title, other merge commits are skipped
+  const candidates = [];
   for (const commit of commits) {
-    // Skip merge commits
-    if (commit.message.startsWith('Merge ')) {
+    if (!commit.message.startsWith('Merge ')) {
+      candidates.push(commit);
       continue;
     }
 
-    const parsed = parseCommitMessage(commit.message);
+    const title = mergeCommits === 'skip' ? null : parseMergeCommit(commit, options);
+    if (title) {
+      candidates.push({ ...commit, message: title });
+    }
+  }
+  const cancelled = findCancelledReverts(candidates);
+
+  for (const commit of candidates) {
+    if (cancelled.has(commit.hash)) {
+      continue;
+    }
 
-    if (parsed) {
-      const typeKey = parsed.type.toLowerCase();
-      const groupName = typeMap[typeKey] || parsed.type;
+    if (SKIP_MARKER_PATTERN.test(commit.message) || SKIP_MARKER_PATTERN.test(commit.body || '')) {
+      continue;
+    }
 
-      if (!groups[groupName]) {
-        groups[groupName] = [];
+    const labels = commit.pullRequest ? commit.pullRequest.labels || [] : [];
+    if (labels.some(label => skipLabels.includes(label.toLowerCase()))) {
+      continue;
+    }
+
+    // Reverts of commits outside the range are parsed from the original subject
+    const revert = parseRevert(commit);
+    const subject = revert ? revert.message : commit.message;
+    const parsed = parseCommitMessage(subject, options);
+
+    if (isExcluded(commit, parsed || parseTypePrefix(subject), excludeMatchers)) {
+      continue;
+    }
+
+    const labelGroup = findLabelGroup(labels, labelTypes);
+    const breakingNote = extractBreakingNote(commit.body);
+    const isBreaking = Boolean(!revert && ((parsed && parsed.breaking) || breakingNote !== null));
+
+    let groupName = null;
+    if (revert) {
+      groupName = REVERTS_GROUP;
+    } else if (parsed) {
+      const typeGroup = typeMap[parsed.type.toLowerCase()];
+      if (labelGroup && (labelMode === 'override' || !typeGroup)) {
+        groupName = labelGroup;
+      } else {
+        groupName = typeGroup || (allowsUnknownType(parsed, options) ? parsed.type : null);
       }
+    } else {
+      groupName = labelGroup;
+    }
 
-      groups[groupName].push({
-        ticket: parsed.ticket,
-        description: parsed.description,
+    if (groupName) {
+      const item = {
+        ticket: parsed ? parsed.ticket : null,
+        description: parsed ? parsed.description : (revert ? revert.message : commit.message),
         hash: commit.hash.substring(0, 7)
-      });
+      };
+
+      if (parsed && parsed.tickets) {
+        item.tickets = parsed.tickets;
+      }
+
+      if (parsed && parsed.scope) {
+        item.scope = parsed.scope;
+      }
+
+      if (commit.pullRequest && options.linkPullRequests !== false) {
+        const { number, url, author } = commit.pullRequest;
+        item.pullRequest = { number, url, author };
+        // The link replaces the squash merge "(#123)" suffix
+        item.description = item.description.replace(new RegExp(`\\s*\\(#${number}\\)$`), '');
+      }
+
+      if (isBreaking) {
+        item.breaking = true;
+        if (breakingNote) {
+          item.breakingNote = breakingNote;
+        }
+        breaking.push(item);
+      }
+
+      entries.push({ groupName, item });
     } else {
       unmatched.push({
         message: commit.message,
         hash: commit.hash.substring(0, 7)
       });
+
+      // Unmatched commits with a breaking footer are still called out
+      if (isBreaking) {
+        breaking.push({
+          ticket: null,
+          description: commit.message,
+          hash: commit.hash.substring(0, 7),
+          breaking: true,
+          breakingNote
+        });
+      }
+    }
+  }
+
+  const groups = {};
+  const groupedEntries = consolidate === 'none' ? entries : consolidateByTicket(entries, consolidate);
+
+  for (const { groupName, item } of groupedEntries) {
+    if (!groups[groupName]) {
+      groups[groupName] = [];
     }
+    groups[groupName].push(item);
   }
 
-  return { groups, unmatched };
+  return { groups, unmatched, breaking };
 }
 
+/**
+ * Default section order; other groups follow alphabetically
+ */
+const DEFAULT_SECTION_ORDER = ['Features', 'Bug Fixes', 'Documentation', 'Chores'];
+
 /**
  * Sorts group names with priority order
  * @param {string[]} groupNames - Array of group names
+ * @param {string[]} [priorityOrder] - Section order (defaults to DEFAULT_SECTION_ORDER)
  * @returns {string[]} Sorted group names
  */
-function sortGroupNames(groupNames) {
-  const priorityOrder = ['Features', 'Bug Fixes', 'Documentation', 'Chores'];
-
+function sortGroupNames(groupNames, priorityOrder = DEFAULT_SECTION_ORDER) {
   return groupNames.sort((a, b) => {
     const aIndex = priorityOrder.indexOf(a);
     const bIndex = priorityOrder.indexOf(b);
@@ -154,34 +703,89 @@ function sortGroupNames(groupNames) {
 }
 
 /**
- * Main function to parse and group commits between two references
+ * Gets commits between two references with logging
  * @param {Object} core - GitHub Actions core object
  * @param {string} baseRef - Base reference
  * @param {string} currentRef - Current reference
- * @param {Object.<string, string>} additionalTypes - Additional type mappings
- * @returns {GroupedCommits} Grouped commits
+ * @param {string[]} [paths] - Only include commits touching these paths
+ * @param {import('./commit-source').CommitSource} [source] - Commit source (defaults to the local git CLI)
+ * @param {import('./commit-source').CommitQueryOptions} [options] - Query options (e.g. firstParent)
+ * @returns {Promise<GitCommit[]>} Array of commits
  */
-function parseAndGroupCommits(core, baseRef, currentRef, additionalTypes = {}) {
+async function collectCommits(core, baseRef, currentRef, paths = [], source = createGitSource(), options = {}) {
   core.info(`Getting commits from ${baseRef} to ${currentRef}`);
+  if (paths.length > 0) {
+    core.info(`Limiting to commits touching: ${paths.join(', ')}`);
+  }
+  if (options.firstParent) {
+    core.info('Following first-parent history');
+  }
 
-  const commits = getCommitsBetween(baseRef, currentRef);
+  const commits = await getCommitsBetween(baseRef, currentRef, paths, source, options);
   core.info(`Found ${commits.length} commits to process`);
 
-  const grouped = groupCommits(commits, additionalTypes);
+  return commits;
+}
+
+/**
+ * Groups already collected commits with logging
+ * @param {Object} core - GitHub Actions core object
+ * @param {GitCommit[]} commits - Array of commits
+ * @param {Object.<string, string>} additionalTypes - Additional type mappings
+ * @param {Object} [options] - Parser options (see parseCommitMessage)
+ * @returns {GroupedCommits} Grouped commits
+ */
+function groupCollectedCommits(core, commits, additionalTypes = {}, options = {}) {
+  const grouped = groupCommits(commits, additionalTypes, options);
 
   const groupCount = Object.keys(grouped.groups).length;
   const matchedCount = Object.values(grouped.groups).reduce((sum, arr) => sum + arr.length, 0);
   core.info(`Parsed ${matchedCount} commits into ${groupCount} groups`);
   core.info(`Found ${grouped.unmatched.length} unmatched commits`);
+  if (grouped.breaking.length > 0) {
+    core.info(`Found ${grouped.breaking.length} breaking changes`);
+  }
 
   return grouped;
 }
 
+/**
+ * Main function to parse and group commits between two references
+ * @param {Object} core - GitHub Actions core object
+ * @param {string} baseRef - Base reference
+ * @param {string} currentRef - Current reference
+ * @param {Object.<string, string>} additionalTypes - Additional type mappings
+ * @param {Object} [options] - Parser options (see parseCommitMessage and groupCommits)
+ * @param {string[]} [options.paths] - Only include commits touching these paths
+ * @param {import('./commit-source').CommitSource} [options.source] - Commit source (defaults to the local git CLI)
+ * @returns {Promise<GroupedCommits>} Grouped commits
+ */
+async function parseAndGroupCommits(core, baseRef, currentRef, additionalTypes = {}, options = {}) {
+  const commits = await collectCommits(core, baseRef, currentRef, options.paths, options.source, {
+    firstParent: options.mergeCommits === 'first-parent'
+  });
+  return groupCollectedCommits(core, commits, additionalTypes, options);
+}
+
 module.exports = {
   DEFAULT_TYPES,
+  DEFAULT_TICKET_PATTERN,
+  DEFAULT_SKIP_LABELS,
+  REVERTS_GROUP,
+  MERGE_COMMIT_MODES,
+  DEFAULT_SECTION_ORDER,
+  buildTicketRegex,
   getCommitsBetween,
+  parseTrailers,
+  extractBreakingNote,
+  parseRevert,
+  findCancelledReverts,
   parseCommitMessage,
+  parseMergeCommit,
+  consolidateByTicket,
   groupCommits,
   sortGroupNames,
+  collectCommits,
+  groupCollectedCommits,
   parseAndGroupCommits
 };
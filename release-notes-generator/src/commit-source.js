@@ -0,0 +1,567 @@
+const { execSync } = require('child_process');
+const fs = require('fs');
+
+/**
+ * @typedef {import('./commit-parser').GitCommit} GitCommit
+ */
+
+/**
+ * @typedef {Object} CommitSource
+ * @property {string} name - Backend name ('git', 'github' or 'fixture')
+ * @property {() => Promise<string[]>} listTags - Lists all tag names (unsorted)
+ * @property {(baseRef: string, currentRef: string, paths?: string[], options?: CommitQueryOptions) => Promise<GitCommit[]>} getCommits -
+ *   Lists commits reachable from currentRef but not from baseRef, newest first
+ * @property {() => Promise<string>} getInitialCommit - Gets the hash of the first commit
+ * @property {(ref: string) => Promise<boolean>} refExists - Checks whether a tag, branch or commit exists
+ * @property {(ref: string) => Promise<string>} getRefDate -
+ *   Gets the date of a ref as ISO 8601: the tagger date for annotated tags, the committer date otherwise
+ * @property {(ancestorRef: string, ref: string) => Promise<boolean>} isAncestor -
+ *   Checks whether ancestorRef is reachable from ref (git merge-base --is-ancestor)
+ * @property {(ref: string, email: string) => Promise<boolean>} hasAuthoredBefore -
+ *   Checks whether anyone with this email authored a commit reachable from ref
+ * @property {() => Promise<boolean>} [isShallow] - Checks whether history is missing from a shallow clone (git only)
+ * @property {() => Promise<void>} [fetchHistory] - Fetches all tags and, for a shallow clone, the full history (git only)
+ */
+
+/**
+ * @typedef {Object} CommitQueryOptions
+ * @property {boolean} [firstParent] - Only follow the first parent of merge commits (git log --first-parent)
+ */
+
+/**
+ * Supported commit source backends
+ */
+const SOURCE_TYPES = ['git', 'github', 'fixture'];
+
+/**
+ * Field and record separators for git log output (ASCII unit/record separators)
+ */
+const FIELD_SEPARATOR = '\x1f';
+const RECORD_SEPARATOR = '\x1e';
+
+/**
+ * git log format: hash, subject, author name, author email, author date, body, trailers
+ */
+const GIT_LOG_FORMAT = ['%H', '%s', '%an', '%ae', '%aI', '%b', '%(trailers:only,unfold)'].join('%x1f') + '%x1e';
+
+/**
+ * Matches the start of a footer line: a "Key:" trailer or the Conventional Commits "BREAKING CHANGE:" footer,
+ * which git doesn't accept as a trailer because of the space
+ */
+const FOOTER_PATTERN = /^([\w-]+|BREAKING CHANGE):\s/;
+
+/**
+ * Parses git trailers ("Key: value" lines) into a map keyed by lowercase token
+ * Repeated trailers (e.g. several Co-authored-by lines) are kept in order
+ * @param {string} [text] - Trailer block
+ * @returns {Object.<string, string[]>} Trailers by token
+ */
+function parseTrailers(text) {
+  const trailers = {};
+
+  for (const line of (text || '').split('\n')) {
+    const match = line.match(/^([\w-]+|BREAKING CHANGE):\s*(.*)$/);
+    if (!match) {
+      continue;
+    }
+
+    const key = match[1].toLowerCase();
+    if (!trailers[key]) {
+      trailers[key] = [];
+    }
+    trailers[key].push(match[2].trim());
+  }
+
+  return trailers;
+}
+
+/**
+ * Reads trailers from the last paragraph of a commit body when it is a footer block: "Key: value" lines,
+ * "BREAKING CHANGE:" notes (which may run over several lines) and indented continuation lines
+ * @param {string} body - Commit body
+ * @returns {Object.<string, string[]>} Trailers by token
+ */
+function parseFooterTrailers(body) {
+  const paragraphs = (body || '').trim().split(/\n\s*\n/);
+  const lines = paragraphs[paragraphs.length - 1].split('\n');
+  const footers = [];
+
+  for (const line of lines) {
+    const previous = footers[footers.length - 1];
+    if (FOOTER_PATTERN.test(line)) {
+      footers.push(line);
+    } else if (previous && (/^\s/.test(line) || /^BREAKING[ -]CHANGE:/.test(previous))) {
+      footers[footers.length - 1] = `${previous} ${line.trim()}`;
+    } else {
+      return {};
+    }
+  }
+
+  return parseTrailers(footers.join('\n'));
+}
+
+/**
+ * Splits a full commit message into subject, body and trailers (see parseFooterTrailers)
+ * @param {string} fullMessage - The full commit message
+ * @returns {{message: string, body: string, trailers: Object.<string, string[]>}} Message parts
+ */
+function splitCommitMessage(fullMessage) {
+  const [subject, ...rest] = fullMessage.split('\n');
+  const body = rest.join('\n').trim();
+
+  return {
+    message: subject.trim(),
+    body,
+    trailers: parseFooterTrailers(body)
+  };
+}
+
+/**
+ * Keeps the commits on the first-parent chain of the newest commit, which is what git log --first-parent shows
+ * @param {Object[]} commits - Commits in the range
+ * @param {(commit: Object) => string} hashOf - Reads a commit's hash
+ * @param {(commit: Object) => string[]} parentsOf - Reads a commit's parent hashes
+ * @returns {Object[]} Commits on the chain, newest first
+ */
+function followFirstParents(commits, hashOf, parentsOf) {
+  const byHash = new Map(commits.map(commit => [hashOf(commit), commit]));
+  const referenced = new Set(commits.flatMap(parentsOf));
+  const chain = [];
+
+  // The range tip is the only commit no other commit in the range points to
+  let current = commits.find(commit => !referenced.has(hashOf(commit)));
+  while (current) {
+    chain.push(current);
+    current = byHash.get(parentsOf(current)[0]);
+  }
+
+  return chain;
+}
+
+/**
+ * Quotes a value for use as a single shell argument
+ * @param {string} value - The value to quote
+ * @returns {string} Single-quoted value
+ */
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Creates the local git CLI backend (requires a checkout with history and tags, e.g. fetch-depth: 0)
+ * @returns {CommitSource} Git commit source
+ */
+function createGitSource() {
+  const isShallow = () =>
+    execSync('git rev-parse --is-shallow-repository', { encoding: 'utf-8', stdio: 'pipe' }).trim() === 'true';
+
+  return {
+    name: 'git',
+
+    async listTags() {
+      const output = execSync('git tag', { encoding: 'utf-8' }).trim();
+      return output ? output.split('\n') : [];
+    },
+
+    async getCommits(baseRef, currentRef, paths = [], options = {}) {
+      const pathspec = paths.length > 0 ? ` -- ${paths.map(shellQuote).join(' ')}` : '';
+      const firstParent = options.firstParent ? ' --first-parent' : '';
+      const gitLog = execSync(
+        `git log ${shellQuote(`${baseRef}..${currentRef}`)}${firstParent} --pretty=format:"${GIT_LOG_FORMAT}"${pathspec}`,
+        { encoding: 'utf-8' }
+      ).trim();
+
+      if (!gitLog) {
+        return [];
+      }
+
+      return gitLog
+        .split(RECORD_SEPARATOR)
+        .map(record => record.trim())
+        .filter(Boolean)
+        .map(record => {
+          const [hash, message, name = '', email = '', date = '', body = '', trailers = ''] = record.split(FIELD_SEPARATOR);
+          return {
+            hash,
+            message,
+            body: body.trim(),
+            author: { name, email },
+            date,
+            // git skips the whole trailer block when it holds a BREAKING CHANGE footer, so fall back to the body
+            trailers: trailers.trim() ? parseTrailers(trailers) : parseFooterTrailers(body)
+          };
+        });
+    },
+
+    async getInitialCommit() {
+      return execSync('git rev-list --max-parents=0 HEAD', { encoding: 'utf-8' }).trim();
+    },
+
+    async refExists(ref) {
+      try {
+        // --verify with ^{commit} only accepts refs to commits, not file paths in the working tree
+        execSync(`git rev-parse --verify --quiet ${shellQuote(`${ref}^{commit}`)}`, { encoding: 'utf-8', stdio: 'pipe' });
+        return true;
+      } catch (e) {
+        return false;
+      }
+    },
+
+    async isShallow() {
+      return isShallow();
+    },
+
+    async fetchHistory() {
+      // --unshallow fails on a complete repository
+      const unshallow = isShallow() ? ' --unshallow' : '';
+      execSync(`git fetch --tags${unshallow}`, { encoding: 'utf-8', stdio: 'pipe' });
+    },
+
+    async getRefDate(ref) {
+      // Annotated tags have a tagger date, lightweight tags only the commit's
+      const tagDate = execSync(
+        `git tag --list ${shellQuote(ref)} --format="%(taggerdate:iso-strict)%(committerdate:iso-strict)"`,
+        { encoding: 'utf-8', stdio: 'pipe' }
+      ).trim();
+      if (tagDate) {
+        return tagDate;
+      }
+
+      return execSync(`git log -1 --format=%cI ${shellQuote(ref)}`, { encoding: 'utf-8', stdio: 'pipe' }).trim();
+    },
+
+    async isAncestor(ancestorRef, ref) {
+      try {
+        execSync(`git merge-base --is-ancestor ${shellQuote(ancestorRef)} ${shellQuote(ref)}`, { encoding: 'utf-8', stdio: 'pipe' });
+        return true;
+      } catch (e) {
+        // Exit status 1 means "not an ancestor", anything else is a real failure
+        if (e.status === 1) {
+          return false;
+        }
+        throw e;
+      }
+    },
+
+    async hasAuthoredBefore(ref, email) {
+      // --author matches "Name <email>", so the brackets anchor the whole address
+      const output = execSync(
+        `git log ${shellQuote(ref)} -1 --fixed-strings --author=${shellQuote(`<${email}>`)} --format=%H`,
+        { encoding: 'utf-8' }
+      ).trim();
+      return output !== '';
+    }
+  };
+}
+
+/**
+ * Converts a commit from the GitHub REST API into a GitCommit
+ * @param {Object} apiCommit - Commit from the compare or list commits endpoints
+ * @returns {GitCommit} Commit
+ */
+function fromApiCommit(apiCommit) {
+  const author = apiCommit.commit.author || {};
+  return {
+    hash: apiCommit.sha,
+    ...splitCommitMessage(apiCommit.commit.message),
+    author: { name: author.name || '', email: author.email || '' },
+    date: author.date || ''
+  };
+}
+
+/**
+ * Creates the GitHub REST API backend (compare and tags endpoints, no local history needed)
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @returns {CommitSource} GitHub commit source
+ */
+function createGitHubSource(github, context) {
+  const { owner, repo } = context.repo;
+  const perPage = 100;
+
+  return {
+    name: 'github',
+
+    async listTags() {
+      const tags = await github.paginate(github.rest.repos.listTags, { owner, repo, per_page: perPage });
+      return tags.map(tag => tag.name);
+    },
+
+    async getCommits(baseRef, currentRef, paths = [], options = {}) {
+      const apiCommits = [];
+
+      // The compare endpoint pages through commits oldest first
+      for (let page = 1; ; page++) {
+        const response = await github.rest.repos.compareCommitsWithBasehead({
+          owner,
+          repo,
+          basehead: `${baseRef}...${currentRef}`,
+          per_page: perPage,
+          page
+        });
+        apiCommits.push(...response.data.commits);
+
+        if (response.data.commits.length < perPage || apiCommits.length >= response.data.total_commits) {
+          break;
+        }
+      }
+
+      const rangeCommits = options.firstParent
+        ? followFirstParents(apiCommits, commit => commit.sha, commit => (commit.parents || []).map(parent => parent.sha))
+        : [...apiCommits].reverse();
+      let commits = rangeCommits.map(fromApiCommit);
+
+      // Compare has no per-commit files, so ask which commits touched each path since the range started
+      if (paths.length > 0 && apiCommits.length > 0) {
+        const since = apiCommits[0].commit.committer ? apiCommits[0].commit.committer.date : undefined;
+        const touched = new Set();
+
+        for (const path of paths) {
+          const pathCommits = await github.paginate(github.rest.repos.listCommits, {
+            owner,
+            repo,
+            sha: currentRef,
+            path,
+            since,
+            per_page: perPage
+          });
+          pathCommits.forEach(commit => touched.add(commit.sha));
+        }
+
+        commits = commits.filter(commit => touched.has(commit.hash));
+      }
+
+      return commits;
+    },
+
+    async getInitialCommit() {
+      // The last page of a one-per-page listing holds the first commit
+      const first = await github.rest.repos.listCommits({ owner, repo, per_page: 1 });
+      const lastPage = ((first.headers && first.headers.link) || '').match(/[?&]page=(\d+)>;\s*rel="last"/);
+
+      if (!lastPage) {
+        return first.data[0].sha;
+      }
+
+      const last = await github.rest.repos.listCommits({ owner, repo, per_page: 1, page: parseInt(lastPage[1], 10) });
+      return last.data[0].sha;
+    },
+
+    async refExists(ref) {
+      try {
+        await github.rest.repos.getCommit({ owner, repo, ref });
+        return true;
+      } catch (e) {
+        return false;
+      }
+    },
+
+    async getRefDate(ref) {
+      let tagRef = null;
+      try {
+        tagRef = (await github.rest.git.getRef({ owner, repo, ref: `tags/${ref}` })).data;
+      } catch (e) {
+        // Not a tag: use the commit's date
+      }
+
+      if (tagRef && tagRef.object.type === 'tag') {
+        const tag = await github.rest.git.getTag({ owner, repo, tag_sha: tagRef.object.sha });
+        return tag.data.tagger.date;
+      }
+
+      const response = await github.rest.repos.getCommit({ owner, repo, ref });
+      return response.data.commit.committer.date;
+    },
+
+    async isAncestor(ancestorRef, ref) {
+      // ref is "ahead" of (or identical to) its ancestors
+      const response = await github.rest.repos.compareCommitsWithBasehead({
+        owner,
+        repo,
+        basehead: `${ancestorRef}...${ref}`,
+        per_page: 1
+      });
+      return ['ahead', 'identical'].includes(response.data.status);
+    },
+
+    async hasAuthoredBefore(ref, email) {
+      const response = await github.rest.repos.listCommits({ owner, repo, sha: ref, author: email, per_page: 1 });
+      return response.data.length > 0;
+    }
+  };
+}
+
+/**
+ * Creates the JSON fixture backend for offline use
+ * The fixture holds tags by name and a linear commit history, newest first:
+ * { "tags": { "v1.0.0": "<hash>" }, "tagDates": { "v1.0.0": "<ISO date>" },
+ *   "commits": [{ "hash", "message", "body", "author", "date", "trailers", "files", "parents" }] }
+ * Parents are only needed to follow first-parent history through merge commits, and tag dates
+ * for annotated tags (other refs use the commit date). Commits without trailers get them from the body footer.
+ * Refs resolve as tag names, full or abbreviated hashes, or HEAD (the newest commit).
+ * @param {string} fixturePath - Path to the JSON fixture file
+ * @returns {CommitSource} Fixture commit source
+ */
+function createFixtureSource(fixturePath) {
+  let fixture;
+
+  const load = () => {
+    if (!fixture) {
+      try {
+        fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+      } catch (e) {
+        throw new Error(`Failed to read commit fixture ${fixturePath}: ${e.message}`);
+      }
+    }
+    return fixture;
+  };
+
+  const resolveIndex = (ref) => {
+    const { tags = {}, commits = [] } = load();
+    const hash = ref === 'HEAD' ? (commits[0] && commits[0].hash) : (tags[ref] || ref);
+    return commits.findIndex(commit => hash && commit.hash.startsWith(hash));
+  };
+
+  return {
+    name: 'fixture',
+
+    async listTags() {
+      return Object.keys(load().tags || {});
+    },
+
+    async getCommits(baseRef, currentRef, paths = [], options = {}) {
+      const { commits = [] } = load();
+      const currentIndex = resolveIndex(currentRef);
+      const baseIndex = resolveIndex(baseRef);
+
+      if (currentIndex === -1) {
+        throw new Error(`Unknown ref ${currentRef} in commit fixture`);
+      }
+      if (baseIndex === -1) {
+        throw new Error(`Unknown ref ${baseRef} in commit fixture`);
+      }
+
+      let rangeCommits = commits.slice(currentIndex, Math.max(baseIndex, currentIndex));
+      if (options.firstParent) {
+        // Commits without parents follow the listed order
+        const parentsOf = commit => commit.parents || [(commits[commits.indexOf(commit) + 1] || {}).hash];
+        rangeCommits = followFirstParents(rangeCommits, commit => commit.hash, parentsOf);
+      }
+
+      return rangeCommits
+        .filter(commit => paths.length === 0 ||
+          (commit.files || []).some(file => paths.some(p => file === p || file.startsWith(p.replace(/\/?$/, '/')))))
+        .map(commit => ({
+          hash: commit.hash,
+          message: commit.message,
+          body: commit.body || '',
+          author: commit.author || { name: '', email: '' },
+          date: commit.date || '',
+          trailers: typeof commit.trailers === 'string'
+            ? parseTrailers(commit.trailers)
+            : (commit.trailers || parseFooterTrailers(commit.body))
+        }));
+    },
+
+    async getInitialCommit() {
+      const { commits = [] } = load();
+      if (commits.length === 0) {
+        throw new Error('Commit fixture has no commits');
+      }
+      return commits[commits.length - 1].hash;
+    },
+
+    async refExists(ref) {
+      return resolveIndex(ref) !== -1;
+    },
+
+    async getRefDate(ref) {
+      const { tagDates = {}, commits = [] } = load();
+      const index = resolveIndex(ref);
+      if (index === -1) {
+        throw new Error(`Unknown ref ${ref} in commit fixture`);
+      }
+      return tagDates[ref] || commits[index].date || '';
+    },
+
+    async isAncestor(ancestorRef, ref) {
+      const { commits = [] } = load();
+      const ancestorIndex = resolveIndex(ancestorRef);
+      const index = resolveIndex(ref);
+      if (ancestorIndex === -1 || index === -1) {
+        throw new Error(`Unknown ref ${ancestorIndex === -1 ? ancestorRef : ref} in commit fixture`);
+      }
+
+      // Walk every parent from ref, following the listed order for commits without parents
+      const parentsOf = commit => commit.parents || [(commits[commits.indexOf(commit) + 1] || {}).hash];
+      const byHash = new Map(commits.map(commit => [commit.hash, commit]));
+      const pending = [commits[index]];
+      const seen = new Set();
+
+      while (pending.length > 0) {
+        const commit = pending.pop();
+        if (commit === commits[ancestorIndex]) {
+          return true;
+        }
+        if (seen.has(commit.hash)) {
+          continue;
+        }
+        seen.add(commit.hash);
+        parentsOf(commit).map(hash => byHash.get(hash)).filter(Boolean).forEach(parent => pending.push(parent));
+      }
+
+      return false;
+    },
+
+    async hasAuthoredBefore(ref, email) {
+      const { commits = [] } = load();
+      const index = resolveIndex(ref);
+      if (index === -1) {
+        throw new Error(`Unknown ref ${ref} in commit fixture`);
+      }
+      return commits
+        .slice(index)
+        .some(commit => commit.author && (commit.author.email || '').toLowerCase() === email.toLowerCase());
+    }
+  };
+}
+
+/**
+ * Creates a commit source backend
+ * @param {string} [type] - 'git' (default), 'github' or 'fixture'
+ * @param {Object} [deps] - Backend dependencies
+ * @param {Object} [deps.github] - GitHub API client (github backend)
+ * @param {Object} [deps.context] - GitHub Actions context (github backend)
+ * @param {string} [deps.fixturePath] - Path to the JSON fixture (fixture backend)
+ * @returns {CommitSource} Commit source
+ */
+function createCommitSource(type = 'git', deps = {}) {
+  switch (type) {
+    case 'git':
+      return createGitSource();
+    case 'github':
+      if (!deps.github || !deps.context) {
+        throw new Error('The github commit source needs a GitHub client and context');
+      }
+      return createGitHubSource(deps.github, deps.context);
+    case 'fixture':
+      if (!deps.fixturePath) {
+        throw new Error('The fixture commit source needs a fixture path');
+      }
+      return createFixtureSource(deps.fixturePath);
+    default:
+      throw new Error(`Unknown commit source "${type}" (expected ${SOURCE_TYPES.join(', ')})`);
+  }
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  shellQuote,
+  parseTrailers,
+  parseFooterTrailers,
+  splitCommitMessage,
+  createGitSource,
+  createGitHubSource,
+  createFixtureSource,
+  createCommitSource
+};
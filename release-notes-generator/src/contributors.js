@@ -0,0 +1,117 @@
+/**
+ * @typedef {import('./commit-parser').GitCommit} GitCommit
+ */
+
+/**
+ * @typedef {Object} Contributor
+ * @property {string} name - The contributor's name
+ * @property {string} email - The contributor's email (empty when a trailer has none)
+ * @property {string|null} login - The GitHub handle, when it can be read from a noreply email
+ * @property {boolean} firstTime - True when the contributor has no commits before this release
+ */
+
+/**
+ * GitHub noreply email, e.g. "12345+octocat@users.noreply.github.com"
+ */
+const NOREPLY_PATTERN = /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i;
+
+/**
+ * Parses a "Name <email>" identity, as used by Co-authored-by trailers
+ * @param {string} value - The identity
+ * @returns {{name: string, email: string}} Name and email
+ */
+function parseIdentity(value) {
+  const match = value.match(/^(.*?)\s*<([^>]*)>\s*$/);
+  return match ? { name: match[1].trim(), email: match[2].trim() } : { name: value.trim(), email: '' };
+}
+
+/**
+ * Checks whether an identity belongs to a bot account (e.g. dependabot[bot])
+ * @param {{name: string, email: string}} identity - The identity
+ * @returns {boolean} True for bots
+ */
+function isBot(identity) {
+  return /\[bot\]$/i.test(identity.name) || /\[bot\]@/i.test(identity.email);
+}
+
+/**
+ * Collects everyone who authored or co-authored the commits, sorted by name
+ * People are matched by email (case-insensitive), or by name when a co-author trailer has no email.
+ * Bot accounts are left out.
+ * @param {GitCommit[]} commits - Commits in the release
+ * @returns {Contributor[]} Contributors
+ */
+function collectContributors(commits) {
+  const contributors = new Map();
+
+  const add = (identity) => {
+    if (!identity.name && !identity.email) {
+      return;
+    }
+    if (isBot(identity)) {
+      return;
+    }
+
+    const key = (identity.email || identity.name).toLowerCase();
+    if (!contributors.has(key)) {
+      const noreply = identity.email.match(NOREPLY_PATTERN);
+      contributors.set(key, {
+        name: identity.name || identity.email,
+        email: identity.email,
+        login: noreply ? noreply[1] : null,
+        firstTime: false
+      });
+    }
+  };
+
+  for (const commit of commits) {
+    if (commit.author) {
+      add(commit.author);
+    }
+
+    const trailers = commit.trailers || {};
+    for (const coAuthor of trailers['co-authored-by'] || []) {
+      add(parseIdentity(coAuthor));
+    }
+  }
+
+  return [...contributors.values()].sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+}
+
+/**
+ * Marks contributors with no commits reachable from the base ref as first-time contributors
+ * Lookup failures are logged as warnings and leave the contributor unmarked
+ * @param {Object} core - GitHub Actions core object
+ * @param {Contributor[]} contributors - Contributors to check (modified in place)
+ * @param {string} baseRef - Base reference of the release
+ * @param {import('./commit-source').CommitSource} source - Commit source
+ * @returns {Promise<number>} Number of first-time contributors
+ */
+async function markFirstTimeContributors(core, contributors, baseRef, source) {
+  let firstTime = 0;
+
+  for (const contributor of contributors) {
+    // Without an email there is nothing to look up
+    if (!contributor.email) {
+      continue;
+    }
+
+    try {
+      if (!(await source.hasAuthoredBefore(baseRef, contributor.email))) {
+        contributor.firstTime = true;
+        firstTime++;
+      }
+    } catch (e) {
+      core.warning(`Failed to check earlier commits for ${contributor.name}: ${e.message}`);
+    }
+  }
+
+  core.info(`Found ${contributors.length} contributors (${firstTime} first-time)`);
+  return firstTime;
+}
+
+module.exports = {
+  parseIdentity,
+  collectContributors,
+  markFirstTimeContributors
+};
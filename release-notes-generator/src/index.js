@@ -1,18 +1,59 @@
+const path = require('path');
 const tagUtils = require('./tag-utils');
 const commitParser = require('./commit-parser');
 const changelogGenerator = require('./changelog-generator');
+const pullRequests = require('./pull-requests');
+const commitSource = require('./commit-source');
+const contributors = require('./contributors');
+const versionBump = require('./version-bump');
+const tagging = require('./tagging');
+const templates = require('./template');
 
 /**
  * @typedef {Object} ActionConfig
- * @property {string} currentTag - Current tag (or 'latest')
+ * @property {string} currentTag - Current tag (or 'latest', or 'HEAD' for unreleased commits)
  * @property {string|null} baseTag - Base tag (optional)
  * @property {boolean} includeUnmatched - Include unmatched commits
  * @property {boolean} updateChangelog - Update CHANGELOG.md
+ * @property {string} [changelogUpdateMode] - When the version is already in CHANGELOG.md: 'skip' or 'replace'
  * @property {boolean} createRelease - Create/update GitHub Release
  * @property {string} changelogPath - Path to CHANGELOG.md
  * @property {boolean} releaseDraft - Create release as draft
  * @property {boolean} releasePrerelease - Mark release as prerelease
  * @property {Object.<string, string>} additionalTypes - Additional type mappings
+ * @property {string} [ticketPattern] - Ticket project keys or regex (defaults to EMBR)
+ * @property {string} [commitFormat] - Commit format: 'embrace', 'conventional' or 'auto'
+ * @property {boolean} [linkPullRequests] - Link entries to their pull requests and authors
+ * @property {Object.<string, string>} [labelTypes] - PR label to group name mappings
+ * @property {string} [labelMode] - How labels combine with title types: 'fallback' or 'override'
+ * @property {string[]} [skipLabels] - PR labels that drop the entry (defaults to skip-changelog)
+ * @property {string[]} [excludePatterns] - Subject regexes or types (e.g. chore(deps)) to leave out
+ * @property {string} [consolidateTickets] - Merge entries by ticket: 'none', 'first' or 'descriptive'
+ * @property {string[]} [paths] - Only include commits touching these paths (git pathspecs)
+ * @property {string[]} [packages] - Package directories that each get their own CHANGELOG.md
+ * @property {boolean} [backfill] - Regenerate the whole changelog from every tag instead of one release
+ * @property {boolean} [keepExistingSections] - When backfilling, keep sections already in the changelog (default true)
+ * @property {string} [baseTagPolicy] - Base tag detection: 'previous', 'stable' or 'skip-prereleases'
+ * @property {string} [previousTagMode] - Previous tag detection: 'semver' or 'ancestor' (reachable tags only)
+ * @property {string} [tagPrefix] - Only consider tags with this prefix (e.g. 'android-'), stripped before comparing
+ * @property {string} [tagPattern] - Only consider tags matching this regex
+ * @property {boolean} [fetchMissingHistory] - Fetch tags and unshallow the clone when a provided ref is missing
+ * @property {string} [commitSource] - Where tags and commits come from: 'git', 'github' or 'fixture'
+ * @property {string} [commitSourceFixture] - Path to the JSON fixture for the fixture commit source
+ * @property {string} [mergeCommits] - Merge commit handling: 'skip', 'include' or 'first-parent'
+ * @property {Array<string|Object>} [sections] - Section order, headings, emoji and per-output visibility
+ * @property {string} [dateFormat] - Heading date format: 'long' (Mon D, YYYY), 'iso' (YYYY-MM-DD) or a pattern
+ * @property {string} [timeZone] - IANA time zone for heading dates (defaults to the runner's)
+ * @property {string} [template] - Template for the notes instead of the built-in layout
+ * @property {string} [templatePath] - Path to a template file, used over template
+ * @property {boolean} [includeContributors] - Add a Contributors section with first-time contributor callouts
+ * @property {boolean} [unreleasedSection] - Keep HEAD notes in a "## Unreleased" section, renamed on release
+ * @property {Object.<string, string>} [bumpRules] - Version bump level by section name (e.g. {"Documentation": "none"})
+ * @property {boolean} [createTag] - Tag HEAD with an annotated tag holding the notes (needs currentTag 'HEAD')
+ * @property {string} [tagName] - Tag to create (defaults to the next version)
+ * @property {boolean} [moveMajorTag] - Also move the floating major tag (e.g. v1) to the new tag
+ * @property {string} [tagPushMethod] - How the tags are pushed: 'git' or 'api'
+ * @property {boolean} [dryRun] - Preview the tags without pushing them or creating the release
  */
 
 /**
@@ -21,8 +62,197 @@ const changelogGenerator = require('./changelog-generator');
  * @property {Object} context - GitHub Actions context
  * @property {Object} core - GitHub Actions core object
  * @property {ActionConfig} config - Action configuration
+ * @property {import('./commit-source').CommitSource} [source] - Commit source (set by run)
  */
 
+/**
+ * @typedef {Object} ReleaseChanges
+ * @property {import('./commit-parser').GroupedCommits} groupedCommits - Grouped commits
+ * @property {string[]} sortedGroupNames - Group names in section order
+ * @property {import('./contributors').Contributor[]} contributors - Contributors to credit
+ */
+
+/**
+ * Collects and groups the changes in one commit range
+ * @param {ActionContext} ctx - Action context
+ * @param {string} baseTag - Base reference
+ * @param {string} currentTag - Current reference
+ * @param {string[]} paths - Only include commits touching these paths
+ * @returns {Promise<ReleaseChanges>} Grouped changes
+ */
+async function collectChanges(ctx, baseTag, currentTag, paths) {
+  const { github, context, core, config, source } = ctx;
+
+  // Step 2: Parse and group commits
+  core.info('Step 2: Parsing and grouping commits');
+  const commits = await commitParser.collectCommits(core, baseTag, currentTag, paths, source, {
+    firstParent: config.mergeCommits === 'first-parent'
+  });
+  const useLabels = Object.keys(config.labelTypes || {}).length > 0;
+
+  // Label categorisation needs the PR labels even when links are not rendered
+  if (config.linkPullRequests || useLabels) {
+    core.info('Looking up pull requests for commits');
+    await pullRequests.enrichCommits(github, context, core, commits);
+  }
+
+  const groupedCommits = commitParser.groupCollectedCommits(
+    core,
+    commits,
+    config.additionalTypes,
+    {
+      ticketPattern: config.ticketPattern,
+      commitFormat: config.commitFormat,
+      linkPullRequests: Boolean(config.linkPullRequests),
+      labelTypes: config.labelTypes,
+      labelMode: config.labelMode,
+      skipLabels: config.skipLabels,
+      excludePatterns: config.excludePatterns,
+      consolidate: config.consolidateTickets,
+      mergeCommits: config.mergeCommits
+    }
+  );
+
+  // Credit authors and co-authors, checking who had no commits before this release
+  let releaseContributors = [];
+  if (config.includeContributors) {
+    releaseContributors = contributors.collectContributors(commits);
+    await contributors.markFirstTimeContributors(core, releaseContributors, baseTag, source);
+  }
+
+  // Step 3: Sort group names
+  const sections = config.sections || [];
+  const sortedGroupNames = commitParser.sortGroupNames(
+    Object.keys(groupedCommits.groups),
+    sections.length > 0 ? sections.map(section => section.name) : undefined
+  );
+
+  return { groupedCommits, sortedGroupNames, contributors: releaseContributors };
+}
+
+/**
+ * Renders the changelog for collected changes, once per output so sections can be hidden from either
+ * @param {ActionContext} ctx - Action context
+ * @param {string} version - Version shown in the heading
+ * @param {ReleaseChanges} changes - Grouped changes
+ * @param {Date|string} date - Release date shown under the heading
+ * @returns {{changelog: string, releaseNotes: string}} Markdown for CHANGELOG.md and for the release body
+ */
+function renderNotes(ctx, version, changes, date) {
+  const { config } = ctx;
+  const render = output => changelogGenerator.generateChangelog(
+    version,
+    changes.groupedCommits,
+    changes.sortedGroupNames,
+    config.includeUnmatched,
+    {
+      contributors: changes.contributors,
+      sections: config.sections || [],
+      output,
+      date,
+      dateFormat: config.dateFormat,
+      timeZone: config.timeZone,
+      template: config.template
+    }
+  );
+
+  return { changelog: render('changelog'), releaseNotes: render('release') };
+}
+
+/**
+ * Gets the release date: when the tag was made, or now for unreleased commits
+ * @param {Object} core - GitHub Actions core object
+ * @param {import('./commit-source').CommitSource} source - Commit source
+ * @param {string} ref - The current tag
+ * @returns {Promise<Date|string>} The release date
+ */
+async function getReleaseDate(core, source, ref) {
+  if (ref === tagUtils.UNRELEASED_REF) {
+    return new Date();
+  }
+
+  try {
+    const date = await source.getRefDate(ref);
+    if (isNaN(new Date(date))) {
+      throw new Error(`"${date}" is not a date`);
+    }
+    core.info(`Using the date of ${ref}: ${date}`);
+    return date;
+  } catch (e) {
+    core.warning(`Failed to read the date of ${ref}, using today's date: ${e.message}`);
+    return new Date();
+  }
+}
+
+/**
+ * Combines per-package notes under a "# <package>" heading each
+ * @param {Object.<string, string>} notesByPackage - Notes by package directory
+ * @returns {string} Combined markdown
+ */
+function combinePackageNotes(notesByPackage) {
+  return Object.entries(notesByPackage)
+    .map(([packageDir, notes]) => `# ${packageDir}\n\n${notes}`)
+    .join('');
+}
+
+/**
+ * Regenerates the whole changelog from every consecutive tag pair, newest first
+ * @param {ActionContext} ctx - Action context (with source)
+ * @param {Object} tagOptions - Tag filter, base tag policy and previous tag mode (see tagUtils.resolveAllTags)
+ * @param {string[]} packages - Package directories that each get their own CHANGELOG.md
+ * @returns {Promise<void>}
+ */
+async function backfillChangelog(ctx, tagOptions, packages) {
+  const { core, config, source } = ctx;
+
+  const comparisons = await tagUtils.resolveAllTags(core, source, tagOptions);
+  core.info(`Backfilling ${comparisons.length} releases`);
+
+  const targets = packages.length > 0
+    ? packages.map(packageDir => ({ packageDir, file: path.join(packageDir, config.changelogPath), paths: [packageDir] }))
+    : [{ file: config.changelogPath, paths: config.paths || [] }];
+  const sectionsByTarget = targets.map(() => []);
+
+  for (const { currentTag, baseTag } of comparisons) {
+    core.info(`Generating release notes for ${baseTag} → ${currentTag}`);
+    const date = await getReleaseDate(core, source, currentTag);
+
+    for (let i = 0; i < targets.length; i++) {
+      const changes = await collectChanges(ctx, baseTag, currentTag, targets[i].paths);
+      const { changelog } = renderNotes(ctx, currentTag, changes, date);
+      if (config.template) {
+        changelogGenerator.assertVersionHeading(changelog, currentTag);
+      }
+      sectionsByTarget[i].push({ version: currentTag, content: changelog });
+    }
+  }
+
+  const written = targets.map((target, i) => changelogGenerator.writeChangelogFile(
+    core,
+    target.file,
+    sectionsByTarget[i],
+    { keepExisting: config.keepExistingSections !== false, filter: tagOptions }
+  ));
+
+  if (packages.length > 0) {
+    const changelogs = {};
+    targets.forEach((target, i) => {
+      changelogs[target.packageDir] = written[i];
+    });
+    core.setOutput('changelogs', JSON.stringify(changelogs));
+    core.setOutput('changelog', combinePackageNotes(changelogs));
+  } else {
+    core.setOutput('changelog', written[0]);
+  }
+  if (comparisons.length > 0) {
+    core.setOutput('current_tag', comparisons[0].currentTag);
+  }
+
+  if (config.createRelease) {
+    core.warning('Skipping GitHub Release: backfill only writes the changelog');
+  }
+}
+
 /**
  * Main function that orchestrates the release notes generation
  * @param {ActionContext} ctx - Action context
@@ -34,74 +264,194 @@ async function run(ctx) {
   try {
     core.info('Starting release notes generation...');
 
+    const sections = changelogGenerator.normalizeSections(config.sections || []);
+    const source = commitSource.createCommitSource(config.commitSource || 'git', {
+      github,
+      context,
+      fixturePath: config.commitSourceFixture
+    });
+    const bumpRules = versionBump.normalizeBumpRules(config.bumpRules || {});
+    changelogGenerator.assertChangelogUpdateMode(config.changelogUpdateMode || 'skip');
+    const template = templates.loadTemplate(config);
+    if (config.createTag && config.currentTag !== tagUtils.UNRELEASED_REF) {
+      throw new Error('Creating a tag needs current_tag: HEAD, since the tag does not exist yet');
+    }
+    const sourceCtx = { ...ctx, source, config: { ...config, sections, template } };
+    core.info(`Reading tags and commits from: ${source.name}`);
+
+    // Monorepos: one changelog per package directory, combined for the outputs and release
+    const packages = (config.packages || []).map(packageDir => packageDir.replace(/\/+$/, ''));
+    const tagFilter = { tagPrefix: config.tagPrefix, tagPattern: config.tagPattern };
+    const tagOptions = {
+      ...tagFilter,
+      basePolicy: config.baseTagPolicy,
+      previousTagMode: config.previousTagMode
+    };
+
+    if (config.backfill) {
+      await backfillChangelog(sourceCtx, tagOptions, packages);
+      core.info('✅ Changelog backfill completed successfully!');
+      return;
+    }
+
     // Step 1: Resolve tags
     core.info('Step 1: Resolving tags');
-    const { currentTag, baseTag } = tagUtils.resolveTags(
+    const { currentTag, baseTag, basePolicy } = await tagUtils.resolveTags(
       core,
       config.currentTag,
-      config.baseTag
+      config.baseTag,
+      source,
+      { ...tagOptions, fetchMissing: config.fetchMissingHistory }
     );
 
     core.info(`Comparing ${baseTag} → ${currentTag}`);
 
-    // Step 2: Parse and group commits
-    core.info('Step 2: Parsing and grouping commits');
-    const groupedCommits = commitParser.parseAndGroupCommits(
-      core,
-      baseTag,
-      currentTag,
-      config.additionalTypes
-    );
+    const changesByPackage = {};
+    let changes;
 
-    // Step 3: Sort group names
-    const sortedGroupNames = commitParser.sortGroupNames(
-      Object.keys(groupedCommits.groups)
-    );
+    if (packages.length > 0) {
+      for (const packageDir of packages) {
+        core.info(`Generating release notes for package ${packageDir}`);
+        changesByPackage[packageDir] = await collectChanges(sourceCtx, baseTag, currentTag, [packageDir]);
+      }
+    } else {
+      changes = await collectChanges(sourceCtx, baseTag, currentTag, config.paths || []);
+    }
+
+    // Recommend the next version from the largest change, across packages since they share tags.
+    // Only unreleased commits have one: an existing tag already is the version.
+    const isUnreleased = currentTag === tagUtils.UNRELEASED_REF;
+    let bump = null;
+    let nextVersion = null;
+    if (isUnreleased) {
+      bump = Object.values(changesByPackage).concat(changes || [])
+        .map(packageChanges => versionBump.determineBump(packageChanges.groupedCommits, bumpRules))
+        .reduce(versionBump.maxBump, 'none');
+      nextVersion = versionBump.getNextVersion(baseTag, bump, tagFilter);
+      core.info(`Recommended ${bump} version bump: ${nextVersion}`);
+    }
+
+    // Unreleased notes are titled with the version they are heading for, or kept under "## Unreleased"
+    let version = currentTag;
+    if (config.createTag) {
+      version = config.tagName || nextVersion;
+      if (await tagUtils.tagExists(version, source)) {
+        throw new Error(`Tag ${version} already exists`);
+      }
+    } else if (isUnreleased) {
+      version = config.unreleasedSection ? changelogGenerator.UNRELEASED_HEADING : nextVersion;
+    }
+
+    // A predicted version isn't a release yet: written to CHANGELOG.md, it would go stale once the real tag is cut
+    const isPredicted = isUnreleased && !config.createTag && !config.unreleasedSection;
+    const updateChangelog = config.updateChangelog && !isPredicted;
 
     // Step 4: Generate changelog markdown
     core.info('Step 3: Generating changelog');
-    const changelog = changelogGenerator.generateChangelog(
-      currentTag,
-      groupedCommits,
-      sortedGroupNames,
-      config.includeUnmatched
-    );
+    const releaseDate = await getReleaseDate(core, source, currentTag);
+    const packageChangelogs = {};
+    const packageReleaseNotes = {};
+    let changelog;
+    let releaseNotes;
+
+    if (packages.length > 0) {
+      for (const packageDir of packages) {
+        const notes = renderNotes(sourceCtx, version, changesByPackage[packageDir], releaseDate);
+        packageChangelogs[packageDir] = notes.changelog;
+        packageReleaseNotes[packageDir] = notes.releaseNotes;
+      }
+
+      changelog = combinePackageNotes(packageChangelogs);
+      releaseNotes = combinePackageNotes(packageReleaseNotes);
+    } else {
+      ({ changelog, releaseNotes } = renderNotes(sourceCtx, version, changes, releaseDate));
+    }
+
+    // CHANGELOG.md sections are found by their "## <version>" heading, which a template has to keep
+    if (template && updateChangelog) {
+      for (const content of packages.length > 0 ? Object.values(packageChangelogs) : [changelog]) {
+        changelogGenerator.assertVersionHeading(content, version);
+      }
+    }
 
     core.info('Generated changelog:');
     core.info('---');
     core.info(changelog);
     core.info('---');
 
+    // Tag the release, so the outputs, CHANGELOG.md and release refer to the new tag
+    let releaseTag = currentTag;
+    if (config.createTag) {
+      core.info(`Creating release tag ${version}`);
+      const { tag, majorTag } = await tagging.createReleaseTag(github, context, core, version, releaseNotes, {
+        method: config.tagPushMethod,
+        moveMajorTag: config.moveMajorTag,
+        dryRun: config.dryRun,
+        filter: tagFilter
+      });
+      releaseTag = tag;
+      if (majorTag) {
+        core.setOutput('major_tag', majorTag);
+      }
+    }
+
     // Step 5: Set outputs
     core.setOutput('changelog', changelog);
-    core.setOutput('current_tag', currentTag);
+    core.setOutput('release_notes', releaseNotes);
+    if (packages.length > 0) {
+      core.setOutput('changelogs', JSON.stringify(packageChangelogs));
+    }
+    core.setOutput('current_tag', releaseTag);
     core.setOutput('base_tag', baseTag);
+    core.setOutput('base_tag_policy', basePolicy);
+    if (isUnreleased) {
+      core.setOutput('next_version', nextVersion);
+      core.setOutput('version_bump', bump);
+    }
 
     // Step 6: Update CHANGELOG.md if requested
-    if (config.updateChangelog) {
+    if (config.updateChangelog && isPredicted) {
+      core.info(`Skipping CHANGELOG.md: ${version} is only a prediction (set unreleased_section to keep HEAD notes in the file)`);
+    }
+    if (updateChangelog) {
       core.info('Step 4: Updating CHANGELOG.md');
-      try {
-        changelogGenerator.updateChangelogFile(
-          core,
-          config.changelogPath,
-          currentTag,
-          changelog
-        );
-      } catch (e) {
-        core.warning(`Failed to update CHANGELOG.md: ${e.message}`);
+      const files = packages.length > 0
+        ? packages.map(packageDir => [path.join(packageDir, config.changelogPath), packageChangelogs[packageDir]])
+        : [[config.changelogPath, changelog]];
+
+      for (const [changelogPath, content] of files) {
+        try {
+          changelogGenerator.updateChangelogFile(
+            core,
+            changelogPath,
+            version,
+            content,
+            {
+              mode: config.changelogUpdateMode,
+              filter: tagFilter,
+              unreleased: Boolean(config.unreleasedSection)
+            }
+          );
+        } catch (e) {
+          core.warning(`Failed to update CHANGELOG.md: ${e.message}`);
+        }
       }
     }
 
     // Step 7: Create/update GitHub Release if requested
-    if (config.createRelease) {
+    if (config.createRelease && releaseTag === tagUtils.UNRELEASED_REF) {
+      core.warning('Skipping GitHub Release: there is no tag to release for unreleased commits on HEAD');
+    } else if (config.createRelease && config.createTag && config.dryRun) {
+      core.info(`Dry run: would create or update the GitHub Release for ${releaseTag}`);
+    } else if (config.createRelease) {
       core.info('Step 5: Creating/updating GitHub Release');
       try {
         const releaseUrl = await changelogGenerator.createOrUpdateRelease(
           github,
           context,
           core,
-          currentTag,
-          changelog,
+          releaseTag,
+          releaseNotes,
           config.releaseDraft,
           config.releasePrerelease
         );
@@ -0,0 +1,111 @@
+/**
+ * @typedef {Object} PullRequestInfo
+ * @property {number} number - The pull request number
+ * @property {string} url - The pull request URL
+ * @property {string|null} author - The pull request author's GitHub handle
+ * @property {string[]} labels - The pull request label names
+ */
+
+/**
+ * Squash merge subject suffix, e.g. "Add login (#123)"
+ */
+const PR_SUFFIX_PATTERN = /\(#(\d+)\)\s*$/;
+
+/**
+ * GitHub merge commit subject, e.g. "Merge pull request #123 from owner/branch"
+ */
+const MERGE_SUBJECT_PATTERN = /^Merge pull request #(\d+) from /;
+
+/**
+ * Extracts the pull request number from a squash merge subject suffix or a merge commit subject
+ * @param {string} message - The commit subject
+ * @returns {number|null} The pull request number, or null if the subject has neither
+ */
+function extractPullRequestNumber(message) {
+  const match = message.match(PR_SUFFIX_PATTERN) || message.match(MERGE_SUBJECT_PATTERN);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Builds a PullRequestInfo from a GitHub API pull request object
+ * @param {Object} pr - Pull request from the GitHub REST API
+ * @returns {PullRequestInfo} Pull request info
+ */
+function toPullRequestInfo(pr) {
+  return {
+    number: pr.number,
+    url: pr.html_url,
+    author: pr.user ? pr.user.login : null,
+    labels: (pr.labels || []).map(label => (typeof label === 'string' ? label : label.name))
+  };
+}
+
+/**
+ * Finds the pull request for a commit
+ * Uses the "(#123)" suffix or merge commit subject when present, otherwise asks GitHub which PRs contain the commit
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {{hash: string, message: string}} commit - The commit
+ * @returns {Promise<PullRequestInfo|null>} The pull request, or null if none was found
+ */
+async function findPullRequest(github, context, commit) {
+  const { owner, repo } = context.repo;
+  const number = extractPullRequestNumber(commit.message);
+
+  if (number !== null) {
+    try {
+      const response = await github.rest.pulls.get({ owner, repo, pull_number: number });
+      return toPullRequestInfo(response.data);
+    } catch (e) {
+      // Still link the PR when it can't be fetched (e.g. missing permissions)
+      const serverUrl = context.serverUrl || 'https://github.com';
+      return { number, url: `${serverUrl}/${owner}/${repo}/pull/${number}`, author: null, labels: [] };
+    }
+  }
+
+  const response = await github.rest.repos.listPullRequestsAssociatedWithCommit({
+    owner,
+    repo,
+    commit_sha: commit.hash
+  });
+
+  // Prefer the PR that actually merged the commit
+  const pulls = response.data || [];
+  const pr = pulls.find(p => p.merged_at) || pulls[0];
+
+  return pr ? toPullRequestInfo(pr) : null;
+}
+
+/**
+ * Attaches the associated pull request to each commit (as commit.pullRequest)
+ * Lookup failures are logged as warnings and leave the commit without a PR
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {Object} core - GitHub Actions core object
+ * @param {Array<{hash: string, message: string}>} commits - Commits to enrich (modified in place)
+ * @returns {Promise<number>} Number of commits linked to a pull request
+ */
+async function enrichCommits(github, context, core, commits) {
+  let linked = 0;
+
+  for (const commit of commits) {
+    try {
+      const pullRequest = await findPullRequest(github, context, commit);
+      if (pullRequest) {
+        commit.pullRequest = pullRequest;
+        linked++;
+      }
+    } catch (e) {
+      core.warning(`Failed to find pull request for ${commit.hash.substring(0, 7)}: ${e.message}`);
+    }
+  }
+
+  core.info(`Linked ${linked} of ${commits.length} commits to pull requests`);
+  return linked;
+}
+
+module.exports = {
+  extractPullRequestNumber,
+  findPullRequest,
+  enrichCommits
+};
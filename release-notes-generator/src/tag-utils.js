@@ -1,32 +1,107 @@
-const { execSync } = require('child_process');
+const { createGitSource } = require('./commit-source');
+
+/**
+ * @typedef {import('./commit-source').CommitSource} CommitSource
+ */
+
+/**
+ * @typedef {Object} TagFilter
+ * @property {string} [tagPrefix] - Only consider tags starting with this prefix (e.g. 'android-'), stripped before comparing
+ * @property {string} [tagPattern] - Only consider tags matching this regex (optionally in slashes);
+ *   a (?<version>...) group selects the part compared as the version
+ */
 
 /**
  * @typedef {Object} TagComparison
  * @property {string} currentTag - The current/target tag
  * @property {string} baseTag - The base/previous tag to compare against
+ * @property {string} basePolicy - How the base was resolved: 'provided', 'previous', 'previous-stable' or 'initial-commit'
+ */
+
+/**
+ * How the base tag is detected:
+ * - 'previous': the previous tag by semver, prerelease or not
+ * - 'stable': stable releases compare against the previous stable release, prereleases against the previous tag
+ * - 'skip-prereleases': prereleases are ignored, both as the latest tag and as the base
+ */
+const BASE_TAG_POLICIES = ['previous', 'stable', 'skip-prereleases'];
+
+/**
+ * @typedef {Object} SemVer
+ * @property {number} major - Major version
+ * @property {number} minor - Minor version
+ * @property {number} patch - Patch version
+ * @property {string[]} prerelease - Dot-separated prerelease identifiers (e.g. ['rc', '10'])
+ * @property {string[]} build - Dot-separated build metadata identifiers (ignored for ordering)
+ */
+
+/**
+ * SemVer 2.0 version with an optional "v" prefix, e.g. v1.2.3-rc.1+build.5
+ */
+const SEMVER_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?$/;
+
+/**
+ * Parses a semver version
+ * @param {string} version - The version (e.g. 'v1.2.3-rc.1')
+ * @returns {SemVer|null} The parsed version, or null if it isn't semver
+ */
+function parseSemver(version) {
+  const match = version.match(SEMVER_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    major: parseInt(match[1], 10),
+    minor: parseInt(match[2], 10),
+    patch: parseInt(match[3], 10),
+    prerelease: match[4] ? match[4].split('.') : [],
+    build: match[5] ? match[5].split('.') : []
+  };
+}
+
+/**
+ * Compares prerelease identifiers by SemVer 2.0 precedence
+ * Numeric identifiers compare numerically and sort before alphanumeric ones, which compare in ASCII order.
+ * When all shared identifiers are equal, the longer list wins.
+ * @param {string[]} a - First prerelease identifiers
+ * @param {string[]} b - Second prerelease identifiers
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
  */
+function comparePrerelease(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    const aNumeric = /^\d+$/.test(a[i]);
+    const bNumeric = /^\d+$/.test(b[i]);
+
+    if (aNumeric && bNumeric) {
+      const diff = parseInt(a[i], 10) - parseInt(b[i], 10);
+      if (diff !== 0) return diff;
+    } else if (aNumeric !== bNumeric) {
+      return aNumeric ? -1 : 1;
+    } else if (a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+  }
+
+  return a.length - b.length;
+}
 
 /**
- * Compares two semver versions
+ * Compares two semver versions by SemVer 2.0 precedence (build metadata is ignored)
+ * Versions that aren't semver sort below all semver versions
  * @param {string} a - First version
  * @param {string} b - Second version
  * @returns {number} - Returns -1 if a < b, 0 if equal, 1 if a > b
  */
 function compareSemver(a, b) {
-  const parseVersion = (v) => {
-    // Remove 'v' prefix if present
-    const cleaned = v.replace(/^v/, '');
-    const parts = cleaned.split(/[.-]/);
-    return {
-      major: parseInt(parts[0]) || 0,
-      minor: parseInt(parts[1]) || 0,
-      patch: parseInt(parts[2]) || 0,
-      prerelease: parts.slice(3).join('.')
-    };
-  };
+  const vA = parseSemver(a);
+  const vB = parseSemver(b);
 
-  const vA = parseVersion(a);
-  const vB = parseVersion(b);
+  if (!vA || !vB) {
+    if (vA) return 1;
+    if (vB) return -1;
+    return a < b ? -1 : (a > b ? 1 : 0);
+  }
 
   // Compare major.minor.patch
   if (vA.major !== vB.major) return vA.major - vB.major;
@@ -34,137 +109,493 @@ function compareSemver(a, b) {
   if (vA.patch !== vB.patch) return vA.patch - vB.patch;
 
   // If both have no prerelease, they're equal
-  if (!vA.prerelease && !vB.prerelease) return 0;
+  if (vA.prerelease.length === 0 && vB.prerelease.length === 0) return 0;
 
   // Version without prerelease is greater than with prerelease
-  if (!vA.prerelease) return 1;
-  if (!vB.prerelease) return -1;
+  if (vA.prerelease.length === 0) return 1;
+  if (vB.prerelease.length === 0) return -1;
+
+  return comparePrerelease(vA.prerelease, vB.prerelease);
+}
+
+/**
+ * Compiles the tag pattern of a filter
+ * @param {TagFilter} filter - Tag filter
+ * @returns {RegExp|null} The pattern, or null when there is none
+ */
+function compileTagPattern(filter) {
+  if (!filter.tagPattern) {
+    return null;
+  }
+
+  const input = filter.tagPattern.trim();
+  try {
+    return new RegExp(input.replace(/^\/(.*)\/$/, '$1'));
+  } catch (e) {
+    throw new Error(`Invalid tag pattern "${input}": ${e.message}`);
+  }
+}
 
-  // Compare prereleases lexicographically
-  return vA.prerelease.localeCompare(vB.prerelease);
+/**
+ * Checks whether a tag passes the filter
+ * @param {string} tag - The tag
+ * @param {TagFilter} [filter] - Tag filter
+ * @returns {boolean} True when the tag has the prefix and matches the pattern
+ */
+function matchesTagFilter(tag, filter = {}) {
+  const pattern = compileTagPattern(filter);
+  return tag.startsWith(filter.tagPrefix || '') && (!pattern || pattern.test(tag));
 }
 
 /**
- * Gets all git tags sorted by semver (newest first)
- * @returns {string[]} Array of tags sorted by semver descending
+ * Gets the version part of a tag: the pattern's version group when it has one, otherwise the tag without its prefix
+ * @param {string} tag - The tag (e.g. 'android-v6.1.0')
+ * @param {TagFilter} [filter] - Tag filter
+ * @returns {string} The version (e.g. 'v6.1.0')
  */
-function getAllTags() {
+function getTagVersion(tag, filter = {}) {
+  const pattern = compileTagPattern(filter);
+  const match = pattern ? tag.match(pattern) : null;
+
+  if (match && match.groups && match.groups.version) {
+    return match.groups.version;
+  }
+
+  const prefix = filter.tagPrefix || '';
+  return tag.startsWith(prefix) ? tag.slice(prefix.length) : tag;
+}
+
+/**
+ * Lists the tags that pass the filter, sorted by semver (newest first), and those skipped for not being semver
+ * @param {CommitSource} [source] - Commit source (defaults to the local git CLI)
+ * @param {TagFilter} [filter] - Only consider matching tags
+ * @returns {Promise<{tags: string[], skipped: string[]}>} Semver tags sorted descending, and skipped tags
+ */
+async function listVersionTags(source = createGitSource(), filter = {}) {
   try {
-    const output = execSync('git tag', { encoding: 'utf-8' }).trim();
-    if (!output) return [];
+    const tags = [];
+    const skipped = [];
+
+    for (const tag of await source.listTags()) {
+      if (!matchesTagFilter(tag, filter)) {
+        continue;
+      }
+      (parseSemver(getTagVersion(tag, filter)) ? tags : skipped).push(tag);
+    }
 
-    const tags = output.split('\n');
-    return tags.sort((a, b) => compareSemver(b, a)); // Sort descending
+    tags.sort((a, b) => compareSemver(getTagVersion(b, filter), getTagVersion(a, filter))); // Sort descending
+    return { tags, skipped };
   } catch (e) {
     throw new Error(`Failed to get git tags: ${e.message}`);
   }
 }
 
 /**
- * Gets the latest git tag
+ * Gets all git tags sorted by semver (newest first); tags that aren't semver are left out
+ * @param {CommitSource} [source] - Commit source (defaults to the local git CLI)
+ * @param {TagFilter} [filter] - Only consider matching tags
+ * @returns {Promise<string[]>} Array of tags sorted by semver descending
+ */
+async function getAllTags(source = createGitSource(), filter = {}) {
+  const { tags } = await listVersionTags(source, filter);
+  return tags;
+}
+
+/**
+ * Describes a tag filter for messages (e.g. " matching prefix android-")
+ * @param {TagFilter} filter - Tag filter
+ * @returns {string} Description, empty without a filter
+ */
+function describeTagFilter(filter) {
+  const parts = [];
+  if (filter.tagPrefix) {
+    parts.push(`prefix ${filter.tagPrefix}`);
+  }
+  if (filter.tagPattern) {
+    parts.push(`pattern ${filter.tagPattern}`);
+  }
+  return parts.length > 0 ? ` matching ${parts.join(' and ')}` : '';
+}
+
+/**
+ * Picks the latest tag from a sorted tag list
+ * @param {string[]} tags - Tags sorted by semver descending
+ * @param {TagFilter} filter - Tag filter (for the error message)
  * @returns {string} The latest tag
  */
-function getLatestTag() {
-  try {
-    const tags = getAllTags();
-    if (tags.length === 0) {
-      throw new Error('No tags found in repository');
+function pickLatestTag(tags, filter) {
+  if (tags.length === 0) {
+    throw new Error(`Failed to get latest tag: No tags found in repository${describeTagFilter(filter)}`);
+  }
+  return tags[0];
+}
+
+/**
+ * Checks whether a tag is a prerelease (e.g. v6.2.0-rc.3)
+ * @param {string} tag - The tag
+ * @param {TagFilter} [filter] - Tag filter
+ * @returns {boolean} True for prereleases
+ */
+function isPrerelease(tag, filter = {}) {
+  const version = parseSemver(getTagVersion(tag, filter));
+  return Boolean(version && version.prerelease.length > 0);
+}
+
+/**
+ * Current tag input for unreleased commits, compared against the latest tag
+ */
+const UNRELEASED_REF = 'HEAD';
+
+/**
+ * How the previous tag is picked among lower versions:
+ * - 'semver': the next lower version
+ * - 'ancestor': the next lower version reachable from the current tag, for maintenance branches
+ */
+const PREVIOUS_TAG_MODES = ['semver', 'ancestor'];
+
+/**
+ * Lists the candidates with a lower version than the current tag
+ * @param {string[]} tags - Tags sorted by semver descending
+ * @param {string} currentTag - The current tag
+ * @param {TagFilter} filter - Tag filter
+ * @param {string[]} candidates - Tags the previous tag may be picked from, sorted descending
+ * @returns {string[]} Lower candidates, newest first
+ */
+function lowerTags(tags, currentTag, filter, candidates) {
+  // Unreleased commits on HEAD come after every tag
+  if (currentTag === UNRELEASED_REF) {
+    return candidates;
+  }
+
+  if (!tags.includes(currentTag)) {
+    if (matchesTagFilter(currentTag, filter) && !parseSemver(getTagVersion(currentTag, filter))) {
+      throw new Error(`Tag ${currentTag} is not a semver version`);
     }
-    return tags[0];
-  } catch (e) {
-    throw new Error(`Failed to get latest tag: ${e.message}`);
+    throw new Error(`Tag ${currentTag} not found in repository${describeTagFilter(filter)}`);
   }
+
+  const currentVersion = getTagVersion(currentTag, filter);
+  return candidates.filter(tag => compareSemver(getTagVersion(tag, filter), currentVersion) < 0);
 }
 
 /**
- * Gets the tag immediately before the given tag (by semver)
+ * Picks the tag before the current one from a sorted tag list
+ * @param {string[]} tags - Tags sorted by semver descending
  * @param {string} currentTag - The current tag
- * @returns {string|null} The previous tag, or null if this is the first tag
+ * @param {TagFilter & {previousTagMode?: string}} options - Tag filter and previous tag mode (see PREVIOUS_TAG_MODES)
+ * @param {CommitSource} source - Commit source (for ancestry checks)
+ * @param {string[]} [candidates] - Tags the previous tag may be picked from (defaults to all tags)
+ * @returns {Promise<string|null>} The previous tag, or null if this is the first tag
  */
-function getPreviousTag(currentTag) {
-  const allTags = getAllTags();
-  const currentIndex = allTags.indexOf(currentTag);
+async function pickPreviousTag(tags, currentTag, options, source, candidates = tags) {
+  const mode = options.previousTagMode || 'semver';
+  if (!PREVIOUS_TAG_MODES.includes(mode)) {
+    throw new Error(`Unknown previous tag mode "${mode}" (expected ${PREVIOUS_TAG_MODES.join(' or ')})`);
+  }
 
-  if (currentIndex === -1) {
-    throw new Error(`Tag ${currentTag} not found in repository`);
+  const lower = lowerTags(tags, currentTag, options, candidates);
+  if (mode === 'semver') {
+    return lower[0] || null;
   }
 
-  if (currentIndex === allTags.length - 1) {
-    // This is the oldest tag
-    return null;
+  for (const tag of lower) {
+    if (await source.isAncestor(tag, currentTag)) {
+      return tag;
+    }
   }
 
-  return allTags[currentIndex + 1];
+  return null;
+}
+
+/**
+ * Gets the latest git tag
+ * @param {CommitSource} [source] - Commit source (defaults to the local git CLI)
+ * @param {TagFilter} [filter] - Only consider matching tags
+ * @returns {Promise<string>} The latest tag
+ */
+async function getLatestTag(source = createGitSource(), filter = {}) {
+  return pickLatestTag(await getAllTags(source, filter), filter);
+}
+
+/**
+ * Gets the tag immediately before the given tag (by semver, or among its ancestors in 'ancestor' mode)
+ * @param {string} currentTag - The current tag
+ * @param {CommitSource} [source] - Commit source (defaults to the local git CLI)
+ * @param {TagFilter & {previousTagMode?: string}} [options] - Only consider matching tags, and the previous tag mode
+ * @returns {Promise<string|null>} The previous tag, or null if this is the first tag
+ */
+async function getPreviousTag(currentTag, source = createGitSource(), options = {}) {
+  return pickPreviousTag(await getAllTags(source, options), currentTag, options, source);
 }
 
 /**
  * Gets the initial commit hash (for when there's no previous tag)
- * @returns {string} The initial commit hash
+ * @param {CommitSource} [source] - Commit source (defaults to the local git CLI)
+ * @returns {Promise<string>} The initial commit hash
  */
-function getInitialCommit() {
+async function getInitialCommit(source = createGitSource()) {
   try {
-    return execSync('git rev-list --max-parents=0 HEAD', { encoding: 'utf-8' }).trim();
+    return await source.getInitialCommit();
   } catch (e) {
     throw new Error(`Failed to get initial commit: ${e.message}`);
   }
 }
 
+/**
+ * Counts the single-character edits needed to turn one string into another (Levenshtein distance)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Finds the existing tags closest to a ref that doesn't exist, for "did you mean" suggestions
+ * @param {string} ref - The missing ref
+ * @param {string[]} tags - Existing tags
+ * @param {number} [limit] - Maximum number of suggestions
+ * @returns {string[]} Closest tags, closest first
+ */
+function suggestTags(ref, tags, limit = 3) {
+  const maxDistance = Math.max(2, Math.floor(ref.length / 3));
+
+  return tags
+    .map(tag => ({ tag, distance: editDistance(ref, tag) }))
+    .filter(candidate => candidate.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || compareSemver(b.tag, a.tag))
+    .slice(0, limit)
+    .map(candidate => candidate.tag);
+}
+
+/**
+ * Explains why a ref is missing: the closest tags, and whether the checkout lacks history or tags
+ * @param {string} label - What the ref is (e.g. 'Current tag')
+ * @param {string} ref - The missing ref
+ * @param {CommitSource} source - Commit source
+ * @returns {Promise<string>} Error message
+ */
+async function describeMissingRef(label, ref, source) {
+  const tags = await source.listTags();
+  let message = `${label} ${ref} not found`;
+
+  const suggestions = suggestTags(ref, tags);
+  if (suggestions.length > 0) {
+    message += `. Did you mean ${suggestions.join(' or ')}?`;
+  }
+
+  const fix = 'use fetch-depth: 0 with actions/checkout, or set fetch_missing_history: true';
+  if (source.isShallow && await source.isShallow()) {
+    message += ` This is a shallow clone, so history and tags may be missing: ${fix}`;
+  } else if (tags.length === 0) {
+    message += ` No tags have been fetched: ${fix}`;
+  }
+
+  return message;
+}
+
+/**
+ * Checks that the provided current and base refs exist, fetching the missing history first when enabled
+ * @param {Object} core - GitHub Actions core object
+ * @param {Object.<string, string>} refs - Refs to check by label (e.g. {'Base tag': 'v1.0.0'})
+ * @param {CommitSource} source - Commit source
+ * @param {boolean} fetchMissing - Run git fetch --tags (--unshallow) when a ref is missing
+ * @returns {Promise<void>}
+ */
+async function validateRefs(core, refs, source, fetchMissing) {
+  const findMissing = async () => {
+    const missing = [];
+    for (const [label, ref] of Object.entries(refs)) {
+      if (!(await tagExists(ref, source))) {
+        missing.push([label, ref]);
+      }
+    }
+    return missing;
+  };
+
+  let missing = await findMissing();
+  if (missing.length > 0 && fetchMissing && source.fetchHistory) {
+    core.info(`Fetching tags and history to find ${missing.map(([, ref]) => ref).join(', ')}`);
+    try {
+      await source.fetchHistory();
+    } catch (e) {
+      throw new Error(`Failed to fetch missing history: ${e.message}`);
+    }
+    missing = await findMissing();
+  }
+
+  if (missing.length > 0) {
+    const [label, ref] = missing[0];
+    throw new Error(await describeMissingRef(label, ref, source));
+  }
+}
+
+/**
+ * Detects the base tag for a current tag following the base tag policy, falling back to the initial commit
+ * @param {Object} core - GitHub Actions core object
+ * @param {string[]} tags - Tags sorted by semver descending
+ * @param {string} currentTag - The current tag
+ * @param {CommitSource} source - Commit source
+ * @param {TagFilter & {basePolicy?: string, previousTagMode?: string}} options - Tag filter, base tag policy and previous tag mode
+ * @returns {Promise<{baseTag: string, basePolicy: string}>} The base tag and how it was resolved
+ */
+async function detectBaseTag(core, tags, currentTag, source, options) {
+  const policy = options.basePolicy || 'previous';
+  const stableTags = tags.filter(tag => !isPrerelease(tag, options));
+  const stableOnly = policy === 'skip-prereleases' || (policy === 'stable' && !isPrerelease(currentTag, options));
+
+  if (options.previousTagMode === 'ancestor') {
+    core.info(`Only considering tags reachable from ${currentTag}`);
+  }
+  const previousTag = await pickPreviousTag(tags, currentTag, options, source, stableOnly ? stableTags : tags);
+  if (previousTag) {
+    core.info(`Automatically detected previous ${stableOnly ? 'stable ' : ''}tag: ${previousTag}`);
+    return { baseTag: previousTag, basePolicy: stableOnly ? 'previous-stable' : 'previous' };
+  }
+
+  const initialCommit = await getInitialCommit(source);
+  core.info(`This is the first tag, comparing from initial commit: ${initialCommit.substring(0, 7)}`);
+  return { baseTag: initialCommit, basePolicy: 'initial-commit' };
+}
+
+/**
+ * Checks that a base tag policy is known
+ * @param {string} policy - The base tag policy
+ */
+function assertBasePolicy(policy) {
+  if (!BASE_TAG_POLICIES.includes(policy)) {
+    throw new Error(`Unknown base tag policy "${policy}" (expected ${BASE_TAG_POLICIES.join(', ')})`);
+  }
+}
+
+/**
+ * Lists the tags with non-semver tags reported as a warning
+ * @param {Object} core - GitHub Actions core object
+ * @param {CommitSource} source - Commit source
+ * @param {TagFilter} options - Tag filter
+ * @returns {Promise<string[]>} Tags sorted by semver descending
+ */
+async function listTagsForComparison(core, source, options) {
+  if (options.tagPrefix || options.tagPattern) {
+    core.info(`Only considering tags${describeTagFilter(options)}`);
+  }
+
+  const { tags, skipped } = await listVersionTags(source, options);
+  if (skipped.length > 0) {
+    core.warning(`Skipping ${skipped.length} tags that are not semver versions: ${skipped.join(', ')}`);
+  }
+  return tags;
+}
+
+/**
+ * Resolves every release tag with its base, newest first, for regenerating a whole changelog
+ * Prereleases are left out with the skip-prereleases policy; the oldest tag is compared with the initial commit.
+ * @param {Object} core - GitHub Actions core object
+ * @param {CommitSource} [source] - Commit source (defaults to the local git CLI)
+ * @param {TagFilter & {basePolicy?: string, previousTagMode?: string}} [options] - Tag filter, base tag policy
+ *   and previous tag mode (as for resolveTags)
+ * @returns {Promise<TagComparison[]>} One comparison per tag
+ */
+async function resolveAllTags(core, source = createGitSource(), options = {}) {
+  const policy = options.basePolicy || 'previous';
+  assertBasePolicy(policy);
+
+  const tags = await listTagsForComparison(core, source, options);
+  const releaseTags = policy === 'skip-prereleases' ? tags.filter(tag => !isPrerelease(tag, options)) : tags;
+
+  const comparisons = [];
+  for (const currentTag of releaseTags) {
+    comparisons.push({ currentTag, ...(await detectBaseTag(core, tags, currentTag, source, options)) });
+  }
+  return comparisons;
+}
+
 /**
  * Resolves the current and base tags for comparison
  * @param {Object} core - GitHub Actions core object
- * @param {string} currentTagInput - The current tag input ('latest' or specific tag)
+ * @param {string} currentTagInput - The current tag input ('latest', 'HEAD' for unreleased commits, or specific tag)
  * @param {string|null} baseTagInput - The base tag input (optional)
- * @returns {TagComparison} Object containing currentTag and baseTag
+ * @param {CommitSource} [source] - Commit source (defaults to the local git CLI)
+ * @param {TagFilter & {basePolicy?: string, previousTagMode?: string, fetchMissing?: boolean}} [options] - Tag filter,
+ *   base tag policy (see BASE_TAG_POLICIES), previous tag mode (see PREVIOUS_TAG_MODES) and whether to fetch
+ *   tags and history when a provided ref is missing
+ * @returns {Promise<TagComparison>} Object containing currentTag, baseTag and the resolved basePolicy
  */
-function resolveTags(core, currentTagInput, baseTagInput) {
+async function resolveTags(core, currentTagInput, baseTagInput, source = createGitSource(), options = {}) {
+  const policy = options.basePolicy || 'previous';
   let currentTag = currentTagInput;
 
+  assertBasePolicy(policy);
+
+  // Catch typos and missing history before they surface as git log failures
+  const providedRefs = {};
+  if (currentTag && currentTag !== 'latest' && currentTag !== UNRELEASED_REF) {
+    providedRefs['Current tag'] = currentTag;
+  }
+  if (baseTagInput) {
+    providedRefs['Base tag'] = baseTagInput;
+  }
+  await validateRefs(core, providedRefs, source, Boolean(options.fetchMissing));
+
+  const tags = await listTagsForComparison(core, source, options);
+  const stableTags = tags.filter(tag => !isPrerelease(tag, options));
+
   // Resolve current tag
   if (!currentTag || currentTag === 'latest') {
-    currentTag = getLatestTag();
+    currentTag = pickLatestTag(policy === 'skip-prereleases' ? stableTags : tags, options);
     core.info(`Using latest tag: ${currentTag}`);
+  } else if (currentTag === UNRELEASED_REF) {
+    core.info('Using unreleased commits on HEAD');
   } else {
     core.info(`Using provided current tag: ${currentTag}`);
   }
 
   // Resolve base tag
-  let baseTag = baseTagInput;
-  if (!baseTag) {
-    const previousTag = getPreviousTag(currentTag);
-    if (previousTag) {
-      baseTag = previousTag;
-      core.info(`Automatically detected previous tag: ${baseTag}`);
-    } else {
-      baseTag = getInitialCommit();
-      core.info(`This is the first tag, comparing from initial commit: ${baseTag.substring(0, 7)}`);
-    }
-  } else {
-    core.info(`Using provided base tag: ${baseTag}`);
+  if (baseTagInput) {
+    core.info(`Using provided base tag: ${baseTagInput}`);
+    return { currentTag, baseTag: baseTagInput, basePolicy: 'provided' };
   }
 
-  return { currentTag, baseTag };
+  return { currentTag, ...(await detectBaseTag(core, tags, currentTag, source, options)) };
 }
 
 /**
  * Checks if a tag exists in the repository
  * @param {string} tag - The tag to check
- * @returns {boolean} True if tag exists
+ * @param {CommitSource} [source] - Commit source (defaults to the local git CLI)
+ * @returns {Promise<boolean>} True if tag exists
  */
-function tagExists(tag) {
-  try {
-    execSync(`git rev-parse ${tag}`, { encoding: 'utf-8', stdio: 'pipe' });
-    return true;
-  } catch (e) {
-    return false;
-  }
+async function tagExists(tag, source = createGitSource()) {
+  return source.refExists(tag);
 }
 
 module.exports = {
+  BASE_TAG_POLICIES,
+  PREVIOUS_TAG_MODES,
+  UNRELEASED_REF,
+  parseSemver,
+  isPrerelease,
   compareSemver,
+  matchesTagFilter,
+  getTagVersion,
+  listVersionTags,
   getAllTags,
   getLatestTag,
   getPreviousTag,
   getInitialCommit,
   resolveTags,
+  resolveAllTags,
   tagExists
 };
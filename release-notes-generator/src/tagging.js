@@ -0,0 +1,165 @@
+const { execSync } = require('child_process');
+const { parseSemver, getTagVersion } = require('./tag-utils');
+const { shellQuote } = require('./commit-source');
+
+/**
+ * @typedef {import('./tag-utils').TagFilter} TagFilter
+ */
+
+/**
+ * @typedef {Object} TagOptions
+ * @property {string} [target] - Commit to tag (defaults to HEAD, which is context.sha for the API)
+ * @property {string} [method] - How tags are created and pushed: 'git' (default) or 'api' (GitHub refs API)
+ * @property {boolean} [moveMajorTag] - Also point the floating major tag (e.g. v1) at the commit
+ * @property {boolean} [dryRun] - Log what would happen without creating or pushing anything
+ * @property {TagFilter} [filter] - Tag filter, for the tag prefix or version group
+ */
+
+/**
+ * @typedef {Object} TagResult
+ * @property {string} tag - The release tag
+ * @property {string|null} majorTag - The floating major tag that was moved, if any
+ */
+
+/**
+ * How tags are created and pushed: the git CLI (needs a checkout with push access) or the GitHub refs API
+ */
+const TAG_PUSH_METHODS = ['git', 'api'];
+
+/**
+ * Identity used for annotated tags
+ */
+const DEFAULT_TAGGER = {
+  name: 'github-actions[bot]',
+  email: '41898282+github-actions[bot]@users.noreply.github.com'
+};
+
+/**
+ * Gets the floating major tag for a release tag (e.g. 'v1' for 'v1.2.3', 'android-v6' for 'android-v6.1.0')
+ * Prereleases don't move the major tag, so it always points at a stable release.
+ * @param {string} tag - The release tag
+ * @param {TagFilter} [filter] - Tag filter, for the tag prefix or version group
+ * @returns {string|null} The major tag, or null for prereleases
+ */
+function getMajorTag(tag, filter = {}) {
+  const version = getTagVersion(tag, filter);
+  const parsed = parseSemver(version);
+  if (!parsed || parsed.prerelease.length > 0) {
+    return null;
+  }
+
+  const prefix = version.startsWith('v') ? 'v' : '';
+  return tag.replace(version, `${prefix}${parsed.major}`);
+}
+
+/**
+ * Creates the annotated tag locally and pushes it, force-pushing the major tag
+ * @param {string} tag - The release tag
+ * @param {string} message - The tag message
+ * @param {string} target - Commit to tag
+ * @param {string|null} majorTag - Major tag to move, if any
+ */
+function pushTagWithGit(tag, message, target, majorTag) {
+  const env = {
+    ...process.env,
+    GIT_COMMITTER_NAME: DEFAULT_TAGGER.name,
+    GIT_COMMITTER_EMAIL: DEFAULT_TAGGER.email
+  };
+
+  // verbatim keeps the markdown headings, which the default cleanup strips as comments
+  execSync(`git tag -a ${shellQuote(tag)} --cleanup=verbatim -F - ${shellQuote(target)}`, { encoding: 'utf-8', input: message, env });
+  execSync(`git push origin ${shellQuote(`refs/tags/${tag}`)}`, { encoding: 'utf-8', stdio: 'pipe' });
+
+  if (majorTag) {
+    execSync(`git tag -f ${shellQuote(majorTag)} ${shellQuote(target)}`, { encoding: 'utf-8', stdio: 'pipe' });
+    execSync(`git push -f origin ${shellQuote(`refs/tags/${majorTag}`)}`, { encoding: 'utf-8', stdio: 'pipe' });
+  }
+}
+
+/**
+ * Creates the annotated tag and its ref through the GitHub API, creating or force-updating the major tag ref
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {string} tag - The release tag
+ * @param {string} message - The tag message
+ * @param {string} sha - Commit to tag
+ * @param {string|null} majorTag - Major tag to move, if any
+ * @returns {Promise<void>}
+ */
+async function pushTagWithApi(github, context, tag, message, sha, majorTag) {
+  const { owner, repo } = context.repo;
+
+  const tagObject = await github.rest.git.createTag({
+    owner,
+    repo,
+    tag,
+    message,
+    object: sha,
+    type: 'commit',
+    tagger: { ...DEFAULT_TAGGER, date: new Date().toISOString() }
+  });
+  await github.rest.git.createRef({ owner, repo, ref: `refs/tags/${tag}`, sha: tagObject.data.sha });
+
+  if (majorTag) {
+    try {
+      await github.rest.git.updateRef({ owner, repo, ref: `tags/${majorTag}`, sha, force: true });
+    } catch (e) {
+      // First release of this major version
+      await github.rest.git.createRef({ owner, repo, ref: `refs/tags/${majorTag}`, sha });
+    }
+  }
+}
+
+/**
+ * Creates an annotated release tag holding the notes and pushes it, optionally moving the major tag
+ * @param {Object} github - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {Object} core - GitHub Actions core object
+ * @param {string} tag - The release tag (e.g. 'v1.2.3' or 'v2.0.0-rc.1')
+ * @param {string} message - The tag message (the release notes)
+ * @param {TagOptions} [options] - Tagging options
+ * @returns {Promise<TagResult>} The tags that were (or in a dry run, would be) pushed
+ */
+async function createReleaseTag(github, context, core, tag, message, options = {}) {
+  const method = options.method || 'git';
+  if (!TAG_PUSH_METHODS.includes(method)) {
+    throw new Error(`Unknown tag push method "${method}" (expected ${TAG_PUSH_METHODS.join(' or ')})`);
+  }
+
+  const filter = options.filter || {};
+  if (!parseSemver(getTagVersion(tag, filter))) {
+    throw new Error(`Tag ${tag} is not a semver version`);
+  }
+
+  const majorTag = options.moveMajorTag ? getMajorTag(tag, filter) : null;
+  if (options.moveMajorTag && !majorTag) {
+    core.info(`Not moving the major tag for prerelease ${tag}`);
+  }
+
+  const target = options.target || 'HEAD';
+  const pointer = majorTag ? ` and ${majorTag}` : '';
+
+  if (options.dryRun) {
+    core.info(`Dry run: would push annotated tag ${tag}${pointer} at ${target} using ${method}`);
+    return { tag, majorTag };
+  }
+
+  try {
+    if (method === 'api') {
+      await pushTagWithApi(github, context, tag, message, target === 'HEAD' ? context.sha : target, majorTag);
+    } else {
+      pushTagWithGit(tag, message, target, majorTag);
+    }
+  } catch (e) {
+    throw new Error(`Failed to create tag ${tag}: ${e.message}`);
+  }
+
+  core.info(`Pushed tag ${tag}${pointer}`);
+  return { tag, majorTag };
+}
+
+module.exports = {
+  TAG_PUSH_METHODS,
+  getMajorTag,
+  createReleaseTag
+};
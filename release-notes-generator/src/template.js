@@ -0,0 +1,151 @@
+const fs = require('fs');
+
+/**
+ * @typedef {Object} TemplateNode
+ * @property {string} name - Field name, dotted for nested fields (e.g. 'unmatched.heading'), or '.' for the current item
+ * @property {boolean} [inverted] - True for {{^name}} sections, rendered when the field is empty
+ * @property {Array<string|TemplateNode>} [children] - Section content; placeholders have none
+ */
+
+/**
+ * Matches {{name}}, {{#name}}, {{^name}} and {{/name}} tags
+ */
+const TAG_PATTERN = /\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Section tags on a line of their own, which are removed with the line break so loops don't leave blank lines
+ */
+const STANDALONE_TAG_PATTERN = /^[ \t]*(\{\{\s*[#^/]\s*[\w.]+\s*\}\})[ \t]*\r?\n/gm;
+
+/**
+ * Parses a mustache-style template: {{name}} placeholders, {{#name}}...{{/name}} sections that repeat
+ * for each item of a list (or render once when the field is set) and {{^name}}...{{/name}} sections
+ * that render when the field is empty or missing
+ * @param {string} template - Template text
+ * @returns {Array<string|TemplateNode>} Parsed template
+ */
+function parseTemplate(template) {
+  const source = template.replace(STANDALONE_TAG_PATTERN, '$1');
+  const root = { name: '', children: [] };
+  const stack = [root];
+  let last = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const node = stack[stack.length - 1];
+    const [tag, kind, name] = match;
+    if (match.index > last) {
+      node.children.push(source.slice(last, match.index));
+    }
+    last = match.index + tag.length;
+
+    if (kind === '/') {
+      if (node === root || node.name !== name) {
+        throw new Error(`Unexpected {{/${name}}} in template`);
+      }
+      stack.pop();
+    } else if (kind) {
+      const section = { name, inverted: kind === '^', children: [] };
+      node.children.push(section);
+      stack.push(section);
+    } else {
+      node.children.push({ name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed section {{#${stack[stack.length - 1].name}}} in template`);
+  }
+  if (last < source.length) {
+    root.children.push(source.slice(last));
+  }
+
+  return root.children;
+}
+
+/**
+ * Looks a field up in the innermost item that has it, so loops can still use outer fields such as version
+ * @param {Array<*>} contexts - Values from the view down to the current loop item
+ * @param {string} name - Field name
+ * @returns {*} The value, or undefined
+ */
+function lookup(contexts, name) {
+  if (name === '.') {
+    return contexts[contexts.length - 1];
+  }
+
+  const [first, ...rest] = name.split('.');
+  const context = [...contexts].reverse().find(value => value !== null && typeof value === 'object' && first in value);
+  return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context && context[first]);
+}
+
+/**
+ * Renders parsed template nodes
+ * @param {Array<string|TemplateNode>} nodes - Parsed template
+ * @param {Array<*>} contexts - Values from the view down to the current loop item
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, contexts) {
+  return nodes.map(node => {
+    if (typeof node === 'string') {
+      return node;
+    }
+
+    const value = lookup(contexts, node.name);
+    if (!node.children) {
+      return value === null || value === undefined || value === false ? '' : String(value);
+    }
+
+    const isEmpty = !value || (Array.isArray(value) && value.length === 0);
+    if (node.inverted || isEmpty) {
+      return node.inverted && isEmpty ? renderNodes(node.children, contexts) : '';
+    }
+
+    const items = Array.isArray(value) ? value : [value];
+    return items.map(item => renderNodes(node.children, [...contexts, item])).join('');
+  }).join('');
+}
+
+/**
+ * Renders a template (see parseTemplate) with the given fields
+ * @param {string} template - Template text
+ * @param {Object} view - Fields available to the template
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, view) {
+  return renderNodes(parseTemplate(template), [view]);
+}
+
+/**
+ * Loads the changelog template from a file or the inline template, checking that it parses
+ * @param {Object} config - Template settings
+ * @param {string} [config.template] - Inline template
+ * @param {string} [config.templatePath] - Path to a template file, used over the inline template
+ * @returns {string|null} Template text, or null for the built-in layout
+ */
+function loadTemplate({ template, templatePath } = {}) {
+  let text = template || null;
+
+  if (templatePath) {
+    try {
+      text = fs.readFileSync(templatePath, 'utf-8');
+    } catch (e) {
+      throw new Error(`Failed to read template ${templatePath}: ${e.message}`);
+    }
+  }
+
+  if (text) {
+    try {
+      parseTemplate(text);
+    } catch (e) {
+      throw new Error(`Invalid template${templatePath ? ` ${templatePath}` : ''}: ${e.message}`);
+    }
+  }
+
+  return text;
+}
+
+module.exports = {
+  parseTemplate,
+  renderTemplate,
+  loadTemplate
+};
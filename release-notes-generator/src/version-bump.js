@@ -0,0 +1,136 @@
+const { parseSemver, getTagVersion } = require('./tag-utils');
+
+/**
+ * @typedef {import('./commit-parser').GroupedCommits} GroupedCommits
+ * @typedef {import('./tag-utils').TagFilter} TagFilter
+ */
+
+/**
+ * Version bump levels, from largest to smallest
+ */
+const BUMP_LEVELS = ['major', 'minor', 'patch', 'none'];
+
+/**
+ * Bump per section: breaking changes are major, features minor, and everything else
+ * (including 'Other' for unmatched commits) patch
+ */
+const DEFAULT_BUMP_RULES = {
+  'Breaking Changes': 'major',
+  Features: 'minor'
+};
+
+/**
+ * Validates bump rules and merges them over the defaults
+ * @param {Object.<string, string>} [rules] - Bump level by section name (e.g. {"Documentation": "none"})
+ * @returns {Object.<string, string>} Bump rules
+ */
+function normalizeBumpRules(rules = {}) {
+  for (const [name, level] of Object.entries(rules)) {
+    if (!BUMP_LEVELS.includes(level)) {
+      throw new Error(`Unknown bump level "${level}" for ${name} (expected ${BUMP_LEVELS.join(', ')})`);
+    }
+  }
+
+  return { ...DEFAULT_BUMP_RULES, ...rules };
+}
+
+/**
+ * Works out the bump level from grouped commits: the largest level of any section with entries
+ * @param {GroupedCommits} groupedCommits - Grouped commits
+ * @param {Object.<string, string>} [rules] - Bump level by section name (see normalizeBumpRules)
+ * @returns {string} 'major', 'minor', 'patch', or 'none' when nothing calls for a release
+ */
+function determineBump(groupedCommits, rules = {}) {
+  const bumpRules = normalizeBumpRules(rules);
+  const levelOf = name => bumpRules[name] || 'patch';
+  const levels = Object.keys(groupedCommits.groups)
+    .filter(name => groupedCommits.groups[name].length > 0)
+    .map(levelOf);
+
+  if ((groupedCommits.breaking || []).length > 0) {
+    levels.push(levelOf('Breaking Changes'));
+  }
+  if (groupedCommits.unmatched.length > 0) {
+    levels.push(levelOf('Other'));
+  }
+
+  return BUMP_LEVELS.find(level => levels.includes(level)) || 'none';
+}
+
+/**
+ * Picks the larger of two bump levels
+ * @param {string} a - First bump level
+ * @param {string} b - Second bump level
+ * @returns {string} The larger level
+ */
+function maxBump(a, b) {
+  return BUMP_LEVELS.indexOf(a) <= BUMP_LEVELS.indexOf(b) ? a : b;
+}
+
+/**
+ * Bumps a semver version, keeping its "v" prefix
+ * A prerelease is released at its own version when that already covers the bump
+ * (e.g. minor on v2.0.0-rc.1 gives v2.0.0, like `npm version`); build metadata is dropped.
+ * @param {string} version - The version (e.g. 'v1.2.3')
+ * @param {string} level - Bump level (see BUMP_LEVELS)
+ * @returns {string} The bumped version
+ */
+function bumpVersion(version, level) {
+  const parsed = parseSemver(version);
+  if (!parsed) {
+    throw new Error(`Version ${version} is not a semver version`);
+  }
+
+  let { major, minor, patch } = parsed;
+  const isPrerelease = parsed.prerelease.length > 0;
+
+  if (level === 'major') {
+    if (!(isPrerelease && minor === 0 && patch === 0)) {
+      major++;
+    }
+    minor = 0;
+    patch = 0;
+  } else if (level === 'minor') {
+    if (!(isPrerelease && patch === 0)) {
+      minor++;
+    }
+    patch = 0;
+  } else if (level === 'patch') {
+    if (!isPrerelease) {
+      patch++;
+    }
+  } else if (level === 'none' && isPrerelease) {
+    return version;
+  }
+
+  const prefix = version.startsWith('v') ? 'v' : '';
+  return `${prefix}${major}.${minor}.${patch}`;
+}
+
+/**
+ * Computes the next version tag from the base tag, in the same format as the base tag
+ * (e.g. 'android-v6.2.0' after 'android-v6.1.4' with a minor bump). Without a semver base
+ * (the first release), versions start from v0.0.0 with the tag prefix.
+ * @param {string} baseTag - The base tag
+ * @param {string} level - Bump level (see BUMP_LEVELS)
+ * @param {TagFilter} [filter] - Tag filter, for the tag prefix or version group
+ * @returns {string} The next version tag
+ */
+function getNextVersion(baseTag, level, filter = {}) {
+  const version = getTagVersion(baseTag, filter);
+  if (!parseSemver(version)) {
+    return `${filter.tagPrefix || ''}${bumpVersion('v0.0.0', level)}`;
+  }
+
+  return baseTag.replace(version, bumpVersion(version, level));
+}
+
+module.exports = {
+  BUMP_LEVELS,
+  DEFAULT_BUMP_RULES,
+  normalizeBumpRules,
+  determineBump,
+  maxBump,
+  bumpVersion,
+  getNextVersion
+};